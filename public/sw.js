@@ -0,0 +1,61 @@
+// Caches the site's static assets (models, textures, images, build files,
+// the Draco decoder) so repeat visits load the 3D prop from the cache.
+// Build files with a content hash in their name never change, so they come
+// from the cache first. Everything else keeps its name across deploys and
+// comes from the network first, with the cached copy as the offline
+// fallback, so a deploy never serves an outdated file.
+
+// Filled in at build time by scripts/vite-plugin-service-worker.js: a
+// version that changes with the build, and its content-hashed files
+const BUILD = { version: 'dev', files: [] }
+
+const CACHE = `vprops-assets-${BUILD.version}`
+const scope = new URL(self.registration.scope).pathname
+const cachedPaths = [`${scope}assets/`, `${scope}draco/`]
+const hashedPaths = new Set(BUILD.files.map((file) => `${scope}${file}`))
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+// Each build gets its own cache; the ones from earlier builds go
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith('vprops-') && key !== CACHE).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+const isCacheable = (request) => {
+  if (request.method !== 'GET' || request.headers.has('range')) return false
+  const url = new URL(request.url)
+  return url.origin === self.location.origin && cachedPaths.some((path) => url.pathname.startsWith(path))
+}
+
+const download = async (event, cache) => {
+  const response = await fetch(event.request)
+  if (response.ok) event.waitUntil(cache.put(event.request, response.clone()))
+  return response
+}
+
+const cacheFirst = async (event, cache) => (await cache.match(event.request)) ?? download(event, cache)
+
+const networkFirst = async (event, cache) => {
+  try {
+    return await download(event, cache)
+  } catch (error) {
+    const cached = await cache.match(event.request)
+    if (cached) return cached
+    throw error
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  if (!isCacheable(event.request)) return
+
+  const strategy = hashedPaths.has(new URL(event.request.url).pathname) ? cacheFirst : networkFirst
+  event.respondWith(caches.open(CACHE).then((cache) => strategy(event, cache)))
+})
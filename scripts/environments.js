@@ -0,0 +1,98 @@
+import { encodeHdr } from './hdr.js'
+
+// Procedural studio environments for the lighting presets in
+// src/content/lighting.js, rendered to equirectangular .hdr files at build
+// time so the scene never fetches an HDRI from a CDN. Each is a backdrop
+// plus rectangular light panels; radiance is linear, 1 being a white
+// surface under the scene's normal exposure.
+
+const normalize = ([x, y, z]) => {
+  const length = Math.hypot(x, y, z)
+  return [x / length, y / length, z / length]
+}
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+const smoothstep = (t) => {
+  const x = Math.min(Math.max(t, 0), 1)
+  return x * x * (3 - 2 * x)
+}
+
+// A rectangular softbox facing the origin from `direction` (+z is the
+// camera side, +y up). `width` and `height` are half-extents as tangents of
+// the angle they cover; edges fade over `softness` of that size.
+function panel({ direction, width, height, radiance, softness = 0.25 }) {
+  const center = normalize(direction)
+  const reference = Math.abs(center[1]) > 0.9 ? [0, 0, 1] : [0, 1, 0]
+  const right = normalize(cross(reference, center))
+  const up = cross(center, right)
+
+  return (dir) => {
+    const facing = dot(dir, center)
+    if (facing <= 0) return 0
+    const x = Math.abs(dot(dir, right) / facing)
+    const y = Math.abs(dot(dir, up) / facing)
+    const edge = smoothstep((width - x) / (width * softness)) * smoothstep((height - y) / (height * softness))
+    return edge * radiance
+  }
+}
+
+const scenes = {
+  // Key softbox above and right of camera, a fill strip on the left and a
+  // dim overhead, in a dark grey studio
+  'studio-softbox': {
+    backdrop: ([, y]) => (y > 0 ? [0.03, 0.03, 0.032] : [0.018, 0.018, 0.02]),
+    panels: [
+      { direction: [1, 1.2, 1.5], width: 0.45, height: 0.35, radiance: 6 },
+      { direction: [-1.5, 0.3, 1], width: 0.12, height: 0.6, radiance: 2 },
+      { direction: [0, 1, 0.2], width: 0.5, height: 0.5, radiance: 1.5 },
+    ],
+  },
+  // A bright overhead diffuser and sky-like dome, with warm bounce from the
+  // tabletop below the horizon
+  'product-table': {
+    backdrop: ([, y]) => (y > 0
+      ? [0.57 + 1.52 * y, 0.58 + 1.55 * y, 0.6 + 1.6 * y]
+      : [0.35, 0.31, 0.27]),
+    panels: [
+      { direction: [0, 1, 0], width: 1, height: 0.6, radiance: 5 },
+      { direction: [0, 0.3, 1], width: 0.6, height: 0.3, radiance: 2 },
+    ],
+  },
+  // Near black, with two narrow cool strips behind the prop that outline
+  // it and a faint warm kicker from the front
+  'dramatic-rim': {
+    backdrop: () => [0.004, 0.004, 0.005],
+    panels: [
+      { direction: [-1.2, 0.2, -1], width: 0.06, height: 0.9, radiance: 25, color: [0.85, 0.92, 1] },
+      { direction: [1.2, 0.2, -1], width: 0.06, height: 0.9, radiance: 18, color: [0.85, 0.92, 1] },
+      { direction: [0.3, -0.2, 1], width: 0.15, height: 0.1, radiance: 0.8, color: [1, 0.8, 0.6] },
+    ],
+  },
+}
+
+export const ENVIRONMENTS = Object.keys(scenes)
+
+// Equirectangular pixels laid out the way three.js samples them: u turns
+// from -x through +z, v runs from straight down to straight up
+export function renderEnvironment(name, width = 512) {
+  const { backdrop, panels } = scenes[name]
+  const lights = panels.map((options) => ({ color: options.color ?? [1, 1, 1], radiance: panel(options) }))
+  const height = width / 2
+  const data = new Float32Array(width * height * 3)
+
+  for (let row = 0; row < height; row++) {
+    const elevation = (0.5 - (row + 0.5) / height) * Math.PI
+    for (let column = 0; column < width; column++) {
+      const azimuth = ((column + 0.5) / width - 0.5) * 2 * Math.PI
+      const dir = [Math.cos(azimuth) * Math.cos(elevation), Math.sin(elevation), Math.sin(azimuth) * Math.cos(elevation)]
+      const pixel = backdrop(dir)
+      for (const { color, radiance } of lights) {
+        const value = radiance(dir)
+        if (value) for (let c = 0; c < 3; c++) pixel[c] += value * color[c]
+      }
+      data.set(pixel, (row * width + column) * 3)
+    }
+  }
+
+  return encodeHdr({ width, height, data })
+}
@@ -0,0 +1,55 @@
+// Minimal Radiance .hdr (RGBE) writer for the generated environment maps.
+// Pixels are a flat Float32Array of linear RGB, row by row from the top.
+// Scanlines use the standard run-length encoding, which keeps the mostly
+// flat studio backdrops small.
+
+// Shared exponent with each channel's mantissa in 0-255
+const toRgbe = (r, g, b) => {
+  const max = Math.max(r, g, b)
+  if (max < 1e-32) return [0, 0, 0, 0]
+  const exponent = Math.floor(Math.log2(max)) + 1
+  const scale = 256 / 2 ** exponent
+  const byte = (value) => Math.min(255, Math.floor(value * scale))
+  return [byte(r), byte(g), byte(b), exponent + 128]
+}
+
+// One channel of a scanline: runs of 3+ equal bytes as (128 + count, value),
+// everything else as literals (count, ...values), 127 bytes at most per chunk
+const encodeChannel = (bytes) => {
+  const out = []
+  let i = 0
+  while (i < bytes.length) {
+    let run = 1
+    while (i + run < bytes.length && run < 127 && bytes[i + run] === bytes[i]) run++
+    if (run >= 3) {
+      out.push(128 + run, bytes[i])
+      i += run
+      continue
+    }
+    const start = i
+    while (i < bytes.length && i - start < 127) {
+      if (i + 2 < bytes.length && bytes[i] === bytes[i + 1] && bytes[i] === bytes[i + 2]) break
+      i++
+    }
+    out.push(i - start, ...bytes.subarray(start, i))
+  }
+  return out
+}
+
+export function encodeHdr({ width, height, data }) {
+  const header = `#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${height} +X ${width}\n`
+  const chunks = [Buffer.from(header, 'latin1')]
+  const channels = Array.from({ length: 4 }, () => new Uint8Array(width))
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3
+      toRgbe(data[i], data[i + 1], data[i + 2]).forEach((value, c) => {
+        channels[c][x] = value
+      })
+    }
+    chunks.push(Buffer.from([2, 2, width >> 8, width & 0xff]))
+    for (const channel of channels) chunks.push(Buffer.from(encodeChannel(channel)))
+  }
+  return Buffer.concat(chunks)
+}
@@ -0,0 +1,73 @@
+// Maps every value in a JSON document to the line and column where it
+// starts, keyed by the same paths the content validator reports
+// ('hero', '[2].video.id'). Object members point at their key. Expects
+// source that JSON.parse has already accepted.
+export function jsonPositions(source) {
+  const offsets = new Map()
+  let i = 0
+
+  const skipSpace = () => {
+    while (/\s/.test(source[i])) i++
+  }
+
+  const readString = () => {
+    const start = i++
+    while (source[i] !== '"') i += source[i] === '\\' ? 2 : 1
+    i++
+    return JSON.parse(source.slice(start, i))
+  }
+
+  const readValue = (path, at) => {
+    skipSpace()
+    offsets.set(path || '(root)', at ?? i)
+    const open = source[i]
+
+    if (open === '{' || open === '[') {
+      const close = open === '{' ? '}' : ']'
+      i++
+      skipSpace()
+      if (source[i] === close) {
+        i++
+        return
+      }
+      for (let index = 0; ; index++) {
+        skipSpace()
+        if (open === '{') {
+          const keyAt = i
+          const key = readString()
+          skipSpace()
+          i++
+          readValue(path ? `${path}.${key}` : key, keyAt)
+        } else {
+          readValue(`${path}[${index}]`)
+        }
+        skipSpace()
+        if (source[i++] === close) return
+      }
+    }
+
+    if (open === '"') readString()
+    else while (i < source.length && !/[\s,\]}]/.test(source[i])) i++
+  }
+
+  readValue('')
+
+  const lineStarts = [0]
+  for (let at = 0; at < source.length; at++) {
+    if (source[at] === '\n') lineStarts.push(at + 1)
+  }
+
+  // Position of `path`, or of its nearest parent that exists in the file
+  // (a missing required field points at the object that should hold it)
+  return (path) => {
+    let current = path
+    while (!offsets.has(current)) {
+      const parent = current.replace(/(\.[^.[]+|\[\d+\])$/, '')
+      current = parent === current || !parent ? '(root)' : parent
+    }
+    const offset = offsets.get(current)
+    let line = lineStarts.length - 1
+    while (lineStarts[line] > offset) line--
+    return { line: line + 1, column: offset - lineStarts[line] }
+  }
+}
@@ -0,0 +1,121 @@
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+// glTF constants
+const FLOAT = 5126
+const UNSIGNED_SHORT = 5123
+const UNSIGNED_INT = 5125
+const ARRAY_BUFFER = 34962
+const ELEMENT_ARRAY_BUFFER = 34963
+const TRIANGLES = 4
+
+const ATTRIBUTES = [
+  ['position', 'POSITION', 'VEC3'],
+  ['normal', 'NORMAL', 'VEC3'],
+  ['uv', 'TEXCOORD_0', 'VEC2'],
+]
+
+const pad4 = (length) => (length + 3) & ~3
+
+// Converts OBJ source text into a GLB buffer. OBJLoader emits one vertex per
+// face corner; merging identical corners and adding an index roughly
+// triples the density. Materials are left out: the manifest's textures and
+// material settings are applied in the browser, exactly as for the OBJ.
+export function objToGlb(text) {
+  const group = new OBJLoader().parse(text)
+  const json = {
+    asset: { version: '2.0', generator: 'vprops compact-models' },
+    scene: 0,
+    scenes: [{ nodes: [] }],
+    nodes: [],
+    meshes: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+  }
+  const chunks = []
+  let byteLength = 0
+
+  const addView = (array, target) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+    json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target })
+    chunks.push({ offset: byteLength, bytes })
+    byteLength = pad4(byteLength + bytes.byteLength)
+    return json.bufferViews.length - 1
+  }
+
+  const addAccessor = (accessor) => {
+    json.accessors.push(accessor)
+    return json.accessors.length - 1
+  }
+
+  group.traverse((child) => {
+    if (!child.isMesh) return
+
+    // Drop OBJ material groups; the whole mesh gets one material
+    const source = child.geometry.clone()
+    source.clearGroups()
+    const geometry = mergeVertices(source)
+    geometry.computeBoundingBox()
+
+    const attributes = {}
+    for (const [name, key, type] of ATTRIBUTES) {
+      const attribute = geometry.getAttribute(name)
+      if (!attribute) continue
+      const accessor = {
+        bufferView: addView(new Float32Array(attribute.array), ARRAY_BUFFER),
+        componentType: FLOAT,
+        count: attribute.count,
+        type,
+      }
+      if (name === 'position') {
+        accessor.min = geometry.boundingBox.min.toArray()
+        accessor.max = geometry.boundingBox.max.toArray()
+      }
+      attributes[key] = addAccessor(accessor)
+    }
+
+    const index = geometry.getIndex().array
+    const wide = geometry.getAttribute('position').count > 0xffff
+    const indices = addAccessor({
+      bufferView: addView(wide ? new Uint32Array(index) : new Uint16Array(index), ELEMENT_ARRAY_BUFFER),
+      componentType: wide ? UNSIGNED_INT : UNSIGNED_SHORT,
+      count: index.length,
+      type: 'SCALAR',
+    })
+
+    json.meshes.push({ name: child.name, primitives: [{ attributes, indices, mode: TRIANGLES }] })
+    json.nodes.push({ name: child.name, mesh: json.meshes.length - 1 })
+    json.scenes[0].nodes.push(json.nodes.length - 1)
+  })
+
+  json.buffers.push({ byteLength })
+
+  const binary = Buffer.alloc(byteLength)
+  for (const { offset, bytes } of chunks) binary.set(bytes, offset)
+
+  // JSON chunk is padded with spaces, BIN chunk with zeros
+  const jsonText = JSON.stringify(json)
+  const jsonBytes = Buffer.alloc(pad4(Buffer.byteLength(jsonText)), ' ')
+  jsonBytes.write(jsonText)
+
+  const header = Buffer.alloc(12)
+  header.writeUInt32LE(0x46546c67, 0) // 'glTF'
+  header.writeUInt32LE(2, 4)
+  header.writeUInt32LE(12 + 8 + jsonBytes.length + 8 + binary.length, 8)
+
+  const chunkHeader = (length, type) => {
+    const buffer = Buffer.alloc(8)
+    buffer.writeUInt32LE(length, 0)
+    buffer.writeUInt32LE(type, 4)
+    return buffer
+  }
+
+  return Buffer.concat([
+    header,
+    chunkHeader(jsonBytes.length, 0x4e4f534a), // 'JSON'
+    jsonBytes,
+    chunkHeader(binary.length, 0x004e4942), // 'BIN'
+    binary,
+  ])
+}
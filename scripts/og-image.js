@@ -0,0 +1,103 @@
+// Composes 1200x630 social preview images (the Open Graph and Twitter
+// card size) from project stills: the stills side by side, cropped to fill
+// their column, darkened towards the bottom, with the logo over the shadow.
+
+export const OG_WIDTH = 1200
+export const OG_HEIGHT = 630
+
+const BACKGROUND = [10, 10, 10]
+const GUTTER = 6
+const MARGIN = 56
+const LOGO_WIDTH = 280
+
+// Bilinear sample of channel values at a fractional source position
+const sample = (image, x, y, out) => {
+  const x0 = Math.max(0, Math.min(image.width - 1, Math.floor(x)))
+  const y0 = Math.max(0, Math.min(image.height - 1, Math.floor(y)))
+  const x1 = Math.min(image.width - 1, x0 + 1)
+  const y1 = Math.min(image.height - 1, y0 + 1)
+  const fx = Math.max(0, Math.min(1, x - x0))
+  const fy = Math.max(0, Math.min(1, y - y0))
+  for (let c = 0; c < 4; c++) {
+    const top = image.data[(y0 * image.width + x0) * 4 + c] * (1 - fx) + image.data[(y0 * image.width + x1) * 4 + c] * fx
+    const bottom = image.data[(y1 * image.width + x0) * 4 + c] * (1 - fx) + image.data[(y1 * image.width + x1) * 4 + c] * fx
+    out[c] = top * (1 - fy) + bottom * fy
+  }
+}
+
+// Draws `source` (the region { x, y, width, height } of `image`) into the
+// target rectangle, alpha-blended, averaging 2x2 samples per pixel
+function draw(target, image, source, rect) {
+  const scaleX = source.width / rect.width
+  const scaleY = source.height / rect.height
+  const pixel = [0, 0, 0, 0]
+  const sum = [0, 0, 0, 0]
+
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      sum.fill(0)
+      for (const [dx, dy] of [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]) {
+        sample(image, source.x + (x + dx) * scaleX - 0.5, source.y + (y + dy) * scaleY - 0.5, pixel)
+        for (let c = 0; c < 4; c++) sum[c] += pixel[c] / 4
+      }
+      const i = ((rect.y + y) * target.width + rect.x + x) * 4
+      const alpha = sum[3] / 255
+      for (let c = 0; c < 3; c++) target.data[i + c] = Math.round(sum[c] * alpha + target.data[i + c] * (1 - alpha))
+    }
+  }
+}
+
+// The largest centered region of `image` with the aspect ratio of `rect`
+const coverCrop = (image, rect) => {
+  const aspect = rect.width / rect.height
+  const width = Math.min(image.width, image.height * aspect)
+  const height = width / aspect
+  return { x: (image.width - width) / 2, y: (image.height - height) / 2, width, height }
+}
+
+// Bounding box of the visible pixels, so padding around the logo is ignored
+const opaqueBounds = (image) => {
+  let minX = image.width
+  let minY = image.height
+  let maxX = 0
+  let maxY = 0
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (image.data[(y * image.width + x) * 4 + 3] < 16) continue
+      minX = Math.min(minX, x)
+      maxX = Math.max(maxX, x)
+      minY = Math.min(minY, y)
+      maxY = Math.max(maxY, y)
+    }
+  }
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+}
+
+export function composeOgImage(stills, logo) {
+  const target = { width: OG_WIDTH, height: OG_HEIGHT, data: new Uint8Array(OG_WIDTH * OG_HEIGHT * 4) }
+  for (let i = 0; i < target.data.length; i += 4) target.data.set([...BACKGROUND, 255], i)
+
+  const columnWidth = Math.floor((OG_WIDTH - GUTTER * (stills.length - 1)) / stills.length)
+  stills.forEach((still, index) => {
+    const rect = { x: index * (columnWidth + GUTTER), y: 0, width: columnWidth, height: OG_HEIGHT }
+    draw(target, still, coverCrop(still, rect), rect)
+  })
+
+  // Shadow under the logo, from clear at 45% of the height to 85% black
+  const shadowStart = Math.round(OG_HEIGHT * 0.45)
+  for (let y = shadowStart; y < OG_HEIGHT; y++) {
+    const shade = 0.85 * ((y - shadowStart) / (OG_HEIGHT - shadowStart)) ** 1.2
+    for (let x = 0; x < OG_WIDTH; x++) {
+      const i = (y * OG_WIDTH + x) * 4
+      for (let c = 0; c < 3; c++) target.data[i + c] = Math.round(target.data[i + c] * (1 - shade) + BACKGROUND[c] * shade)
+    }
+  }
+
+  if (logo) {
+    const source = opaqueBounds(logo)
+    const height = Math.round(LOGO_WIDTH * source.height / source.width)
+    draw(target, logo, source, { x: MARGIN, y: OG_HEIGHT - MARGIN - height, width: LOGO_WIDTH, height })
+  }
+
+  return target
+}
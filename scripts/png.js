@@ -0,0 +1,158 @@
+import zlib from 'node:zlib'
+
+// Minimal PNG reader and writer for the build's image work: 8-bit,
+// non-interlaced greyscale, RGB and RGBA in, RGBA out. Pixels are a flat
+// RGBA Uint8Array, row by row.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft
+  const dLeft = Math.abs(estimate - left)
+  const dUp = Math.abs(estimate - up)
+  const dUpLeft = Math.abs(estimate - upLeft)
+  if (dLeft <= dUp && dLeft <= dUpLeft) return left
+  return dUp <= dUpLeft ? up : upLeft
+}
+
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file')
+
+  let header
+  const idat = []
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length)
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      }
+    } else if (type === 'IDAT') {
+      idat.push(chunk)
+    } else if (type === 'IEND') {
+      break
+    }
+    offset += length + 12
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header
+  const channels = CHANNELS[colorType]
+  if (bitDepth !== 8 || !channels || interlace) {
+    throw new Error(`Unsupported PNG (bit depth ${bitDepth}, colour type ${colorType}, interlace ${interlace})`)
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat))
+  const stride = width * channels
+  const rows = new Uint8Array(stride * height)
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)]
+    const source = y * (stride + 1) + 1
+    const row = y * stride
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? rows[row + x - channels] : 0
+      const up = y ? rows[row - stride + x] : 0
+      const upLeft = y && x >= channels ? rows[row - stride + x - channels] : 0
+      const value = raw[source + x]
+      rows[row + x] = filter === 1 ? value + left
+        : filter === 2 ? value + up
+          : filter === 3 ? value + ((left + up) >> 1)
+            : filter === 4 ? value + paeth(left, up, upLeft)
+              : value
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4)
+  for (let i = 0, j = 0; i < data.length; i += 4, j += channels) {
+    const grey = channels < 3
+    data[i] = rows[j]
+    data[i + 1] = grey ? rows[j] : rows[j + 1]
+    data[i + 2] = grey ? rows[j] : rows[j + 2]
+    data[i + 3] = channels === 4 ? rows[j + 3] : channels === 2 ? rows[j + 1] : 255
+  }
+  return { width, height, data }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const chunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data])
+  const out = Buffer.alloc(body.length + 8)
+  out.writeUInt32BE(data.length, 0)
+  body.copy(out, 4)
+  out.writeUInt32BE(crc32(body), body.length + 4)
+  return out
+}
+
+// Writes RGBA pixels, as RGB when every pixel is opaque. Each row gets the
+// filter with the smallest sum of residuals, the usual size heuristic.
+export function encodePng({ width, height, data }) {
+  let opaque = true
+  for (let i = 3; i < data.length && opaque; i += 4) opaque = data[i] === 255
+  const channels = opaque ? 3 : 4
+  const stride = width * channels
+
+  const pixels = new Uint8Array(stride * height)
+  for (let i = 0, j = 0; i < data.length; i += 4, j += channels) {
+    pixels[j] = data[i]
+    pixels[j + 1] = data[i + 1]
+    pixels[j + 2] = data[i + 2]
+    if (channels === 4) pixels[j + 3] = data[i + 3]
+  }
+
+  const raw = Buffer.alloc((stride + 1) * height)
+  const candidate = new Uint8Array(stride)
+  for (let y = 0; y < height; y++) {
+    const row = y * stride
+    let bestCost = Infinity
+    for (let filter = 0; filter < 5; filter++) {
+      let cost = 0
+      for (let x = 0; x < stride; x++) {
+        const left = x >= channels ? pixels[row + x - channels] : 0
+        const up = y ? pixels[row - stride + x] : 0
+        const upLeft = y && x >= channels ? pixels[row - stride + x - channels] : 0
+        const value = pixels[row + x]
+        const predicted = filter === 1 ? left
+          : filter === 2 ? up
+            : filter === 3 ? (left + up) >> 1
+              : filter === 4 ? paeth(left, up, upLeft)
+                : 0
+        candidate[x] = value - predicted
+        cost += candidate[x] < 128 ? candidate[x] : 256 - candidate[x]
+      }
+      if (cost < bestCost) {
+        bestCost = cost
+        raw[y * (stride + 1)] = filter
+        raw.set(candidate, y * (stride + 1) + 1)
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header[8] = 8
+  header[9] = channels === 4 ? 6 : 2
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ])
+}
@@ -0,0 +1,60 @@
+import { SITE_NAME, projectDescription } from '../src/pageMeta.js'
+
+// schema.org JSON-LD for the prerendered pages: the studio as an
+// Organization on the home page, and a VideoObject for every project film,
+// all of them on the home page (the portfolio grid) and each on its case
+// study. `url(path)` turns a site-relative path into a link, `pageUrl(path)`
+// does the same for a page. `env` holds the build's VITE_* variables.
+
+const LOGO = 'assets/images/logo-vprops.png'
+// The same fallback as CONTACT_EMAIL in src/lib/contact.js
+const DEFAULT_EMAIL = 'hello@vprops.studio'
+
+const isAbsolute = (src) => /^https?:\/\//.test(src)
+
+// Where each provider's player and thumbnail live (see src/lib/video.js)
+const videoLocations = (video, url) => {
+  const local = (src) => (isAbsolute(src) ? src : url(src))
+  if (video.provider === 'youtube') {
+    return {
+      thumbnailUrl: `https://i.ytimg.com/vi/${video.id}/${video.thumbQuality || 'maxresdefault'}.jpg`,
+      embedUrl: `https://www.youtube-nocookie.com/embed/${video.id}`,
+    }
+  }
+  if (video.provider === 'vimeo') {
+    return { thumbnailUrl: local(video.poster), embedUrl: `https://player.vimeo.com/video/${video.id}` }
+  }
+  return { thumbnailUrl: local(video.poster), contentUrl: local(video.sources[0].src) }
+}
+
+const videoObject = (project, { t, locale, url, pageUrl }) => ({
+  '@type': 'VideoObject',
+  name: project.title,
+  description: projectDescription(project, { t, locale }),
+  // Only the year is known; a reduced-precision ISO 8601 date
+  uploadDate: String(project.year),
+  url: pageUrl(`work/${project.slug}`),
+  ...videoLocations(project.video, url),
+  creator: { '@type': 'Organization', name: SITE_NAME },
+})
+
+export function structuredData(name, params, { t, locale, projects, url, pageUrl, env }) {
+  const films = projects.filter((project) => project.video)
+  const graphs = {
+    home: () => [
+      {
+        '@type': 'Organization',
+        name: SITE_NAME,
+        url: pageUrl(''),
+        logo: url(LOGO),
+        email: env.VITE_CONTACT_EMAIL || DEFAULT_EMAIL,
+        description: t('meta.description'),
+      },
+      ...films.map((project) => videoObject(project, { t, locale, url, pageUrl })),
+    ],
+    project: () => films.filter((project) => project.slug === params.slug).map((project) => videoObject(project, { t, locale, url, pageUrl })),
+  }
+  const graph = graphs[name]?.() ?? []
+
+  return graph.length ? { '@context': 'https://schema.org', '@graph': graph } : null
+}
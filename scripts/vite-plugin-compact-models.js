@@ -0,0 +1,57 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { objToGlb } from './obj-to-glb.js'
+import { hasCompactModel, compactModelPath } from '../src/compactModels.js'
+
+const readManifest = () => JSON.parse(fs.readFileSync(path.resolve('src/content/models.json'), 'utf8'))
+
+// OBJ sources are plain text and unindexed; the app loads a compact binary
+// glTF instead. The dev server compiles it on request (cached until the OBJ
+// changes) and the build emits it next to the other assets.
+export default function compactModelsPlugin() {
+  let base = '/'
+  let publicDir
+  const cache = new Map()
+
+  const compile = (model) => {
+    const source = path.join(publicDir, model.src)
+    const { mtimeMs } = fs.statSync(source)
+    const cached = cache.get(model.id)
+    if (cached?.mtimeMs === mtimeMs) return cached.glb
+
+    const glb = objToGlb(fs.readFileSync(source, 'utf8'))
+    cache.set(model.id, { mtimeMs, glb })
+    return glb
+  }
+
+  const compactModels = () => readManifest().models.filter(hasCompactModel)
+
+  return {
+    name: 'vprops-compact-models',
+    configResolved(config) {
+      base = config.base
+      publicDir = config.publicDir
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url.split('?')[0]
+        const model = compactModels().find((entry) => url === `${base}${compactModelPath(entry)}`)
+        if (!model) return next()
+
+        try {
+          const glb = compile(model)
+          res.setHeader('Content-Type', 'model/gltf-binary')
+          res.setHeader('Content-Length', glb.length)
+          res.end(glb)
+        } catch (error) {
+          next(error)
+        }
+      })
+    },
+    generateBundle() {
+      for (const model of compactModels()) {
+        this.emitFile({ type: 'asset', fileName: compactModelPath(model), source: compile(model) })
+      }
+    },
+  }
+}
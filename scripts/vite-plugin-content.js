@@ -0,0 +1,63 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { contentSchemas, contentCopy, validate, formatErrors } from '../src/content/schema.js'
+import { DEFAULT_LOCALE, flattenMessages } from '../src/locales.js'
+import { jsonPositions } from './json-positions.js'
+
+// Validates JSON files in src/content/ against their schema as they are
+// imported, so a bad entry fails `vite build` and shows an overlay in dev.
+// Errors name the file, field and line, and the overlay opens on the first.
+export default function contentPlugin() {
+  const contentDir = path.resolve('src/content')
+  const catalogFile = path.resolve('src/messages', `${DEFAULT_LOCALE}.json`)
+
+  // Entries whose copy is missing from the default catalog (the messages
+  // plugin makes sure the other locales match it)
+  const copyErrors = (name, data) => {
+    if (!contentCopy[name]) return []
+    const messages = flattenMessages(JSON.parse(fs.readFileSync(catalogFile, 'utf8')))
+    const catalog = path.relative(process.cwd(), catalogFile)
+    return contentCopy[name](data).flatMap(({ path: at, keys }) => keys
+      .filter((key) => !(key in messages))
+      .map((key) => ({ path: at, message: `has no copy: add "${key}" to ${catalog}` })))
+  }
+
+  return {
+    name: 'vprops-content',
+    enforce: 'pre',
+    transform(code, id) {
+      const file = id.split('?')[0]
+      if (path.dirname(file) !== contentDir) return null
+
+      const name = path.basename(file)
+      const schema = contentSchemas[name]
+      if (!schema) return null
+
+      const relative = path.relative(process.cwd(), file)
+      let data
+      try {
+        data = JSON.parse(code)
+      } catch (err) {
+        this.error(`Invalid JSON in ${relative}: ${err.message}`)
+      }
+
+      const errors = validate(data, schema)
+      if (!errors.length) errors.push(...copyErrors(name, data))
+      if (errors.length) {
+        const positionOf = jsonPositions(code)
+        const located = errors.map((error) => ({ ...error, line: positionOf(error.path).line }))
+        this.error(formatErrors(relative, located), positionOf(errors[0].path))
+      }
+      return null
+    },
+    // Copy checks depend on the catalog too, so editing it in dev re-runs them
+    handleHotUpdate({ file, server }) {
+      if (file !== catalogFile) return
+      for (const name of Object.keys(contentCopy)) {
+        for (const module of server.moduleGraph.getModulesByFile(path.join(contentDir, name)) ?? []) {
+          server.reloadModule(module)
+        }
+      }
+    },
+  }
+}
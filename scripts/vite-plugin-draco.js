@@ -0,0 +1,47 @@
+import fs from 'node:fs'
+import path from 'node:path'
+
+const DECODER_DIR = path.resolve('node_modules/three/examples/jsm/libs/draco/gltf')
+const DECODER_FILES = ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+
+// Only glTF props flagged `draco` in the manifest need the decoder
+const needsDecoder = () =>
+  JSON.parse(fs.readFileSync(path.resolve('src/content/models.json'), 'utf8')).models.some((model) => model.draco)
+
+const contentTypes = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+}
+
+// Serves three's Draco decoder from <base>draco/ in dev and copies it into
+// the build when a prop needs it, so compressed glTF props never depend on a
+// third-party CDN.
+export default function dracoPlugin() {
+  let base = '/'
+  let outDir
+
+  return {
+    name: 'vprops-draco',
+    configResolved(config) {
+      base = config.base
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}draco`, (req, res, next) => {
+        const file = path.basename(req.url.split('?')[0])
+        if (!DECODER_FILES.includes(file)) return next()
+
+        res.setHeader('Content-Type', contentTypes[path.extname(file)])
+        fs.createReadStream(path.join(DECODER_DIR, file)).pipe(res)
+      })
+    },
+    writeBundle() {
+      if (!needsDecoder()) return
+      const target = path.join(outDir, 'draco')
+      fs.mkdirSync(target, { recursive: true })
+      for (const file of DECODER_FILES) {
+        fs.copyFileSync(path.join(DECODER_DIR, file), path.join(target, file))
+      }
+    },
+  }
+}
@@ -0,0 +1,48 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { ENVIRONMENTS, renderEnvironment } from './environments.js'
+import { lightingPresets } from '../src/content/lighting.js'
+
+// Serves the generated studio environments from <base>environments/ in dev
+// and writes them into the build. Fails early when a lighting preset names
+// an environment that doesn't exist.
+export default function environmentsPlugin() {
+  let base = '/'
+  let outDir
+  const rendered = new Map()
+  const environment = (name) => {
+    if (!rendered.has(name)) rendered.set(name, renderEnvironment(name))
+    return rendered.get(name)
+  }
+
+  return {
+    name: 'vprops-environments',
+    configResolved(config) {
+      base = config.base
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    buildStart() {
+      for (const [id, preset] of Object.entries(lightingPresets)) {
+        if (!ENVIRONMENTS.includes(preset.environment)) {
+          this.error(`Lighting preset "${id}" uses unknown environment "${preset.environment}" (known: ${ENVIRONMENTS.join(', ')})`)
+        }
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}environments`, (req, res, next) => {
+        const name = path.basename(req.url.split('?')[0], '.hdr')
+        if (!ENVIRONMENTS.includes(name)) return next()
+
+        res.setHeader('Content-Type', 'image/vnd.radiance')
+        res.end(environment(name))
+      })
+    },
+    writeBundle() {
+      const target = path.join(outDir, 'environments')
+      fs.mkdirSync(target, { recursive: true })
+      for (const name of ENVIRONMENTS) {
+        fs.writeFileSync(path.join(target, `${name}.hdr`), environment(name))
+      }
+    },
+  }
+}
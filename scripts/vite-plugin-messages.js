@@ -0,0 +1,41 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { LOCALES, compareCatalogs } from '../src/locales.js'
+
+// Checks the message catalogs in src/messages/ against each other whenever
+// one is imported, so a key missing from any locale fails `vite build` and
+// shows an overlay in dev. All catalogs are read from disk, since the one
+// being transformed may not be the one that is out of date.
+export default function messagesPlugin() {
+  const messagesDir = path.resolve('src/messages')
+
+  return {
+    name: 'vprops-messages',
+    enforce: 'pre',
+    transform(code, id) {
+      const file = id.split('?')[0]
+      if (path.dirname(file) !== messagesDir) return null
+
+      const relative = path.relative(process.cwd(), messagesDir)
+      const catalogs = {}
+      for (const locale of LOCALES) {
+        const catalogFile = path.join(messagesDir, `${locale}.json`)
+        if (!fs.existsSync(catalogFile)) continue
+        try {
+          catalogs[locale] = JSON.parse(fs.readFileSync(catalogFile, 'utf8'))
+        } catch (err) {
+          this.error(`Invalid JSON in ${path.join(relative, `${locale}.json`)}: ${err.message}`)
+        }
+      }
+
+      const problems = compareCatalogs(catalogs)
+      if (problems.length) {
+        this.error([
+          `Message catalogs in ${relative} are out of step:`,
+          ...problems.map(({ locale, key, message }) => `  - ${locale}.json ${key} ${message}`),
+        ].join('\n'))
+      }
+      return null
+    },
+  }
+}
@@ -0,0 +1,36 @@
+// Local stand-in for an analytics endpoint, mounted on the dev and preview
+// servers at /api/events. Run with VITE_ANALYTICS_ENDPOINT=/api/events to
+// see each batch the httpSink sends in the terminal.
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = ''
+  req.on('data', (chunk) => { body += chunk })
+  req.on('end', () => resolve(body))
+  req.on('error', reject)
+})
+
+const handler = async (req, res, next) => {
+  if (req.method !== 'POST') return next()
+
+  try {
+    const { events } = JSON.parse(await readBody(req))
+    for (const { name, path, props } of events) {
+      console.log(`[mock-analytics] ${name} ${path} ${JSON.stringify(props)}`)
+    }
+    res.statusCode = 204
+  } catch {
+    res.statusCode = 400
+  }
+  res.end()
+}
+
+export default function mockAnalyticsPlugin() {
+  return {
+    name: 'vprops-mock-analytics',
+    configureServer(server) {
+      server.middlewares.use('/api/events', handler)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api/events', handler)
+    },
+  }
+}
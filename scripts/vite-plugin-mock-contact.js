@@ -0,0 +1,66 @@
+import { briefSchema, validate } from '../src/content/schema.js'
+
+// Local stand-in for the contact endpoint, mounted on the dev and preview
+// servers at /api/contact. Run with VITE_CONTACT_ENDPOINT=/api/contact.
+// MOCK_CONTACT_STATUS=503 makes it fail, to exercise the retry queue.
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = ''
+  req.on('data', (chunk) => { body += chunk })
+  req.on('end', () => resolve(body))
+  req.on('error', reject)
+})
+
+const parse = (body, contentType = '') => {
+  if (contentType.includes('application/json')) return JSON.parse(body || '{}')
+  // multipart bodies (briefs with attachments) are only logged, not parsed
+  return null
+}
+
+const handler = async (req, res, next) => {
+  if (req.method !== 'POST') return next()
+
+  const json = (status, data) => {
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(data))
+  }
+
+  const forcedStatus = Number(process.env.MOCK_CONTACT_STATUS)
+  if (forcedStatus) {
+    return json(forcedStatus, { ok: false, error: 'Forced failure' })
+  }
+
+  let body
+  let data
+  try {
+    body = await readBody(req)
+    data = parse(body, req.headers['content-type'])
+  } catch {
+    return json(400, { ok: false, error: 'Invalid JSON' })
+  }
+
+  if (!data) {
+    console.log(`[mock-contact] received multipart submission (${body.length} bytes)`)
+    return json(200, { ok: true, id: Date.now().toString(36) })
+  }
+
+  const errors = validate(data, briefSchema)
+  if (errors.length) {
+    return json(422, { ok: false, errors })
+  }
+
+  console.log('[mock-contact] received brief:', JSON.stringify(data, null, 2))
+  json(200, { ok: true, id: Date.now().toString(36) })
+}
+
+export default function mockContactPlugin() {
+  return {
+    name: 'vprops-mock-contact',
+    configureServer(server) {
+      server.middlewares.use('/api/contact', handler)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api/contact', handler)
+    },
+  }
+}
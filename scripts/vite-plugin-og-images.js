@@ -0,0 +1,51 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { ogImages, isPreviewable } from '../src/pageMeta.js'
+import { decodePng, encodePng } from './png.js'
+import { composeOgImage } from './og-image.js'
+
+const LOGO = 'assets/images/logo-vprops.png'
+
+const readContent = (file) => JSON.parse(fs.readFileSync(path.resolve('src/content', file), 'utf8'))
+
+// Writes the social preview image for every page into the build (see
+// ogImages in src/pageMeta.js), composed from the PNG stills in public/.
+// Other stills are left out with a warning, and their pages fall back to
+// the site image.
+export default function ogImagesPlugin() {
+  let outDir
+  let publicDir
+
+  return {
+    name: 'vprops-og-images',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+      publicDir = config.publicDir
+    },
+    writeBundle() {
+      // Stills are shared between images, so each is decoded once
+      const decoded = new Map()
+      const image = (src) => {
+        if (!decoded.has(src)) decoded.set(src, decodePng(fs.readFileSync(path.join(publicDir, src))))
+        return decoded.get(src)
+      }
+
+      const projects = readContent('projects.json')
+      const { models } = readContent('models.json')
+      for (const project of projects.filter((entry) => entry.stills.length && !entry.stills.some(isPreviewable))) {
+        this.warn(`${project.slug} has no PNG still in public/ (first is ${project.stills[0]}), so its social preview uses the site image`)
+      }
+      for (const model of models.filter((entry) => entry.still && !isPreviewable(entry.still))) {
+        this.warn(`${model.id}'s still ${model.still} is not a PNG in public/, so its social preview uses the site image`)
+      }
+
+      const images = ogImages({ projects, models })
+      for (const { file, stills } of images) {
+        const target = path.join(outDir, file)
+        fs.mkdirSync(path.dirname(target), { recursive: true })
+        fs.writeFileSync(target, encodePng(composeOgImage(stills.map(image), image(LOGO))))
+      }
+    },
+  }
+}
@@ -0,0 +1,158 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { routes } from '../src/routes.js'
+import { LOCALES, DEFAULT_LOCALE, localizePath, createTranslator, withTrailingSlash } from '../src/locales.js'
+import { SITE_NAME, pageMeta } from '../src/pageMeta.js'
+import { structuredData } from './structured-data.js'
+import { OG_WIDTH, OG_HEIGHT } from './og-image.js'
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+const readContent = (file) => readJson(path.join('src/content', file))
+
+// Expands ':param' segments using the content files that back them
+const paramSources = {
+  slug: () => readContent('projects.json').map((project) => project.slug),
+  id: () => readContent('models.json').models.map((model) => model.id),
+}
+
+// Every page of the site as { name, path, params }
+export function expandRoutes() {
+  return routes.flatMap((route) => {
+    const dynamic = route.path.split('/').find((part) => part.startsWith(':'))
+    if (!dynamic) return [{ name: route.name, path: route.path, params: {} }]
+
+    const param = dynamic.slice(1)
+    return paramSources[param]().map((value) => ({
+      name: route.name,
+      path: route.path.replace(dynamic, value),
+      params: { [param]: value },
+    }))
+  })
+}
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+// The page's language, title, description, social card, translations and
+// structured data, plus its heading and description as the initial body so
+// crawlers that don't run scripts still see what the page is about. React
+// replaces the body on start.
+function prerender(html, { locale, meta, url, image, alternates, data }) {
+  const head = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    ...alternates.map(({ hreflang, url }) => `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(url)}" />`),
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    `<meta property="og:image:width" content="${OG_WIDTH}" />`,
+    `<meta property="og:image:height" content="${OG_HEIGHT}" />`,
+    '<meta name="twitter:card" content="summary_large_image" />',
+    // '<' is escaped so copy can never close the script element
+    data && `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`,
+  ].filter(Boolean)
+
+  return html
+    .replace(/<html lang="[^"]*">/, `<html lang="${locale}">`)
+    .replace(/<title>[^<]*<\/title>/, head.join('\n    '))
+    .replace(
+      '<div id="root"></div>',
+      `<div id="root"><main><h1>${escapeHtml(meta.heading)}</h1><p>${escapeHtml(meta.description)}</p></main></div>`,
+    )
+}
+
+const sitemap = (pages) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+  ...pages.flatMap(({ url, alternates }) => [
+    '  <url>',
+    `    <loc>${escapeHtml(url)}</loc>`,
+    ...alternates.map(({ hreflang, url }) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(url)}" />`),
+    '  </url>',
+  ]),
+  '</urlset>',
+  '',
+].join('\n')
+
+// GitHub Pages has no rewrite rules, so after the build every known route
+// gets its own prerendered copy of index.html (served with a 200) in every
+// locale, and 404.html catches anything else and lets the client router
+// render the not-found page. Alongside them go sitemap.xml and robots.txt.
+// Links in the metadata are absolute when `siteUrl` is known (e.g. SITE_URL
+// from the Pages deploy), root-relative otherwise; the sitemap is only
+// written when they can be absolute. Links to pages end in a slash, the
+// address each one is actually served from.
+export default function pagesPlugin({ siteUrl } = {}) {
+  let outDir
+  let base
+  let env
+
+  const absolute = (pathname) => (siteUrl ? new URL(pathname, siteUrl).href : pathname)
+  const url = (pathname) => absolute(base + pathname)
+  const pageUrl = (pathname) => absolute(withTrailingSlash(base + pathname))
+
+  return {
+    name: 'vprops-pages',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+      base = config.base
+      env = config.env
+    },
+    writeBundle() {
+      const html = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8')
+      const projects = readContent('projects.json')
+      const manifest = readContent('models.json')
+      const content = {
+        projects,
+        models: manifest.models,
+        heroModel: manifest.models.find((model) => model.id === manifest.hero),
+      }
+      const fallback = readJson(`src/messages/${DEFAULT_LOCALE}.json`)
+      const translators = Object.fromEntries(LOCALES.map((locale) => [
+        locale,
+        createTranslator(locale, readJson(`src/messages/${locale}.json`), fallback),
+      ]))
+
+      const sitemapPages = []
+      for (const page of expandRoutes()) {
+        const alternates = [
+          ...LOCALES.map((locale) => ({ hreflang: locale, url: pageUrl(localizePath(page.path, locale)) })),
+          { hreflang: 'x-default', url: pageUrl(localizePath(page.path, DEFAULT_LOCALE)) },
+        ]
+
+        for (const locale of LOCALES) {
+          const t = translators[locale]
+          const meta = pageMeta(page.name, page.params, { t, locale, ...content })
+          const localized = localizePath(page.path, locale)
+          const dir = path.join(outDir, localized)
+          fs.mkdirSync(dir, { recursive: true })
+          fs.writeFileSync(path.join(dir, 'index.html'), prerender(html, {
+            locale,
+            meta,
+            url: pageUrl(localized),
+            image: url(meta.image),
+            alternates,
+            data: structuredData(page.name, page.params, { t, locale, projects, url, pageUrl, env }),
+          }))
+          sitemapPages.push({ url: pageUrl(localized), alternates })
+        }
+      }
+
+      fs.writeFileSync(path.join(outDir, '404.html'), html)
+
+      if (siteUrl) {
+        fs.writeFileSync(path.join(outDir, 'sitemap.xml'), sitemap(sitemapPages))
+      } else {
+        this.warn('SITE_URL is not set, so sitemap.xml was skipped and page metadata uses root-relative links')
+      }
+      fs.writeFileSync(
+        path.join(outDir, 'robots.txt'),
+        ['User-agent: *', 'Allow: /', ...(siteUrl ? [`Sitemap: ${url('sitemap.xml')}`] : []), ''].join('\n'),
+      )
+    },
+  }
+}
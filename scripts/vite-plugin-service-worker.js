@@ -0,0 +1,32 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+
+// Vite names build files `<name>-<8 character hash>.<ext>` by default
+const HASHED_FILE = /-[\w-]{8}\.[a-z0-9]+$/i
+const PLACEHOLDER = "const BUILD = { version: 'dev', files: [] }"
+
+// Tells the copied public/sw.js which build it belongs to: the build's
+// content-hashed files, which it may serve from the cache without asking
+// the network, and a version made from them that names its cache, so each
+// deploy starts a fresh cache and the previous one is deleted.
+export default function serviceWorkerPlugin() {
+  let outDir
+
+  return {
+    name: 'vprops-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    writeBundle(_options, bundle) {
+      const files = Object.keys(bundle).filter((file) => HASHED_FILE.test(file)).sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+
+      const worker = path.join(outDir, 'sw.js')
+      const source = fs.readFileSync(worker, 'utf8')
+      if (!source.includes(PLACEHOLDER)) this.error(`public/sw.js no longer contains "${PLACEHOLDER}"`)
+      fs.writeFileSync(worker, source.replace(PLACEHOLDER, `const BUILD = ${JSON.stringify({ version, files })}`))
+    },
+  }
+}
@@ -0,0 +1,44 @@
+import { THEMES, DEFAULT_THEME, THEME_STORAGE_KEY, themes } from '../src/theme.js'
+
+const VIRTUAL_ID = 'virtual:theme.css'
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+const declarations = (theme) => [
+  ...Object.entries(themes[theme].css).map(([name, value]) => `  --${name}: ${value};`),
+  `  color-scheme: ${theme};`,
+].join('\n')
+
+// The default theme on :root, the theme matching the OS colour scheme until
+// a script sets data-theme, and each theme by name once it has
+const themeCss = () => [
+  `:root {\n${declarations(DEFAULT_THEME)}\n}`,
+  ...THEMES.filter((theme) => theme !== DEFAULT_THEME).map((theme) =>
+    `@media (prefers-color-scheme: ${theme}) {\n  :root:not([data-theme]) {\n${declarations(theme).replace(/^/gm, '  ')}\n  }\n}`),
+  ...THEMES.map((theme) => `:root[data-theme='${theme}'] {\n${declarations(theme)}\n}`),
+].join('\n\n')
+
+// Applies a stored choice before first paint, so a visitor who picked the
+// other theme doesn't see a flash of the system one (src/lib/theme.js takes
+// over once the app starts)
+const preloadScript = [
+  `try { const theme = localStorage.getItem(${JSON.stringify(THEME_STORAGE_KEY)})`,
+  `if (${JSON.stringify(THEMES)}.includes(theme)) document.documentElement.dataset.theme = theme } catch {}`,
+].join('; ')
+
+// Serves the design tokens in src/theme.js as CSS custom properties from
+// `import 'virtual:theme.css'`. Editing the theme file restarts the dev
+// server, since the config depends on it.
+export default function themePlugin() {
+  return {
+    name: 'vprops-theme',
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null
+    },
+    load(id) {
+      return id === RESOLVED_ID ? themeCss() : null
+    },
+    transformIndexHtml() {
+      return [{ tag: 'script', children: preloadScript, injectTo: 'head' }]
+    },
+  }
+}
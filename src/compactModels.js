@@ -0,0 +1,6 @@
+// Plain OBJ props (no .mtl) are compiled into an indexed binary glTF by
+// scripts/vite-plugin-compact-models.js, served by the dev server and
+// emitted into the build. Shared by the app and the build.
+export const hasCompactModel = (model) => model.format === 'obj' && !model.mtl
+
+export const compactModelPath = (model) => `assets/models/${model.id}.glb`
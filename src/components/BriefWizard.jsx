@@ -0,0 +1,391 @@
+import { useState, useRef, useEffect } from 'react'
+import {
+  steps,
+  emptyBrief,
+  serviceOptions,
+  budgetOptions,
+  formatOptions,
+  validateStep,
+  firstInvalidStep,
+  briefPayload,
+  buildBrief,
+  summarizeBrief,
+  MAX_REFERENCE_FILES,
+  loadDraft,
+  saveDraft,
+  clearDraft,
+} from '../lib/brief'
+import { briefPdf, briefIcs, canExportIcs } from '../lib/briefExport'
+import { downloadBlob } from '../lib/download'
+import { CONTACT_EMAIL, isLikelySpam, submitBrief } from '../lib/contact'
+import { useTranslation } from '../lib/i18n'
+import { trackEvent, onPageLeave } from '../lib/analytics'
+
+const formatSize = (bytes) => bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / 1024 / 1024).toFixed(1)} MB`
+
+// Exports are always in English: they go to the studio, and the PDF's
+// built-in font has no Czech glyphs
+function BriefExports({ brief }) {
+  const { t } = useTranslation()
+
+  return (
+    <div className="wizard-exports">
+      <button type="button" className="wizard-link" onClick={() => downloadBlob(briefPdf(brief), 'vprops-brief.pdf')}>
+        {t('brief.downloadPdf')}
+      </button>
+      {canExportIcs(brief) && (
+        <button type="button" className="wizard-link" onClick={() => downloadBlob(briefIcs(brief), 'vprops-shoot.ics')}>
+          {t('brief.addToCalendar')}
+        </button>
+      )}
+    </div>
+  )
+}
+
+function BriefWizard() {
+  const [draft] = useState(loadDraft)
+  const [data, setData] = useState(draft?.data ?? emptyBrief)
+  // Resume a draft where it left off, unless an earlier step no longer validates
+  const [step, setStep] = useState(() => (draft ? Math.min(draft.step, firstInvalidStep(draft.data)) : 0))
+  const [files, setFiles] = useState([])
+  const [errors, setErrors] = useState({})
+  const [status, setStatus] = useState('idle')
+  const [submitted, setSubmitted] = useState(null)
+  const honeypotRef = useRef(null)
+  // A restored draft was started on an earlier visit, so it can't trip the time trap
+  const startedAtRef = useRef(draft ? 0 : null)
+  const headingRef = useRef(null)
+  const navigatedRef = useRef(false)
+  // { step } from the first edit until the brief is sent, for the funnel events
+  const funnelRef = useRef(null)
+  const { t } = useTranslation()
+
+  const stepId = steps[step].id
+  const isReview = stepId === 'review'
+  // Only shown here; the brief is checked against the schema when it's sent
+  const reviewBrief = isReview ? briefPayload(data, files) : null
+
+  useEffect(() => {
+    if (!submitted) saveDraft(data, step)
+  }, [data, step, submitted])
+
+  // Move focus to the new step for keyboard and screen reader users, but
+  // never on first render where it would yank the page down to the form
+  useEffect(() => {
+    if (navigatedRef.current) headingRef.current?.focus()
+  }, [step])
+
+  // Leaving the page or the form with a brief under way abandons it there
+  useEffect(() => {
+    const abandon = () => {
+      if (funnelRef.current) trackEvent('brief_abandon', funnelRef.current)
+      funnelRef.current = null
+    }
+    const unsubscribe = onPageLeave(abandon)
+    return () => {
+      unsubscribe()
+      abandon()
+    }
+  }, [])
+
+  const update = (name, value) => {
+    startedAtRef.current ??= Date.now()
+    if (!funnelRef.current) {
+      funnelRef.current = { step: stepId }
+      trackEvent('brief_start', { step: stepId, resumed: Boolean(draft) })
+    }
+    setData((prev) => ({ ...prev, [name]: value }))
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }))
+    if (status === 'error') setStatus('idle')
+  }
+
+  const toggle = (name, value) => {
+    const list = data[name]
+    update(name, list.includes(value) ? list.filter((item) => item !== value) : [...list, value])
+  }
+
+  const handleChange = (e) => {
+    const { name, type, checked, value } = e.target
+    update(name, type === 'checkbox' ? checked : value)
+  }
+
+  const handleFiles = (e) => {
+    const next = [...files, ...Array.from(e.target.files)]
+    e.target.value = ''
+    setFiles(next)
+    setErrors((prev) => ({ ...prev, references: validateStep('deliverables', data, next, t).references }))
+  }
+
+  const removeFile = (index) => {
+    const next = files.filter((_, i) => i !== index)
+    setFiles(next)
+    setErrors((prev) => ({ ...prev, references: validateStep('deliverables', data, next, t).references }))
+  }
+
+  const goTo = (index) => {
+    navigatedRef.current = true
+    if (funnelRef.current) funnelRef.current.step = steps[index].id
+    setErrors({})
+    setStep(index)
+  }
+
+  const handleNext = () => {
+    const stepErrors = validateStep(stepId, data, files, t)
+    setErrors(stepErrors)
+    if (Object.keys(stepErrors).length) return
+    goTo(step + 1)
+    trackEvent('brief_step', { step: steps[step + 1].id })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!isReview) {
+      handleNext()
+      return
+    }
+    if (status === 'sending') return
+
+    const invalidStep = firstInvalidStep(data, files)
+    if (invalidStep < step) {
+      goTo(invalidStep)
+      setErrors(validateStep(steps[invalidStep].id, data, files, t))
+      return
+    }
+
+    // Bots get the same success state so they have nothing to tune against
+    if (isLikelySpam({ honeypot: honeypotRef.current?.value, startedAt: startedAtRef.current ?? Date.now() })) {
+      setSubmitted({ brief: reviewBrief, result: 'sent' })
+      return
+    }
+
+    setStatus('sending')
+    try {
+      const brief = buildBrief(data, files)
+      const result = await submitBrief(brief, files)
+      clearDraft()
+      setSubmitted({ brief, result })
+      setStatus('idle')
+      funnelRef.current = null
+      trackEvent('brief_submit', { result })
+    } catch (err) {
+      console.error('Brief submission failed:', err)
+      setStatus('error')
+      trackEvent('brief_error', { retryable: Boolean(err.retryable) })
+    }
+  }
+
+  const startOver = () => {
+    clearDraft()
+    setData(emptyBrief)
+    setFiles([])
+    setErrors({})
+    setSubmitted(null)
+    startedAtRef.current = null
+    goTo(0)
+  }
+
+  const fieldProps = (name) => ({
+    id: `brief-${name}`,
+    name,
+    value: data[name],
+    onChange: handleChange,
+    'aria-invalid': errors[name] ? true : undefined,
+    'aria-describedby': errors[name] ? `brief-${name}-error` : undefined,
+  })
+
+  const fieldError = (name) => errors[name] && (
+    <p className="form-error" id={`brief-${name}-error`}>{errors[name]}</p>
+  )
+
+  const choiceGroup = (name, options, type) => (
+    <div className="wizard-choices" role="group" aria-describedby={errors[name] ? `brief-${name}-error` : undefined}>
+      {options.map((option) => (
+        <label className="wizard-choice" key={option.value}>
+          <input
+            type={type}
+            name={name}
+            value={option.value}
+            checked={type === 'radio' ? data[name] === option.value : data[name].includes(option.value)}
+            onChange={() => (type === 'radio' ? update(name, option.value) : toggle(name, option.value))}
+          />
+          <span>{t(option.labelKey)}</span>
+        </label>
+      ))}
+    </div>
+  )
+
+  if (submitted) {
+    return (
+      <div className="contact-form brief-wizard wizard-done" role="status">
+        <h3 className="wizard-heading">{t(submitted.result === 'mailto' ? 'brief.almostThere' : 'brief.received')}</h3>
+        <p className="form-status">{t(`brief.success.${submitted.result}`, { email: CONTACT_EMAIL })}</p>
+        <BriefExports brief={submitted.brief} />
+        <button type="button" className="form-submit" onClick={startOver}>{t('brief.startOver')}</button>
+      </div>
+    )
+  }
+
+  return (
+    <form className="contact-form brief-wizard" onSubmit={handleSubmit} noValidate>
+      <div className="form-honeypot" aria-hidden="true">
+        <label htmlFor="brief-website">Website</label>
+        <input type="text" id="brief-website" name="website" ref={honeypotRef} tabIndex={-1} autoComplete="off" />
+      </div>
+
+      <ol className="wizard-steps">
+        {steps.map((s, i) => (
+          <li
+            key={s.id}
+            className={`wizard-step${i === step ? ' wizard-step-current' : ''}${i < step ? ' wizard-step-done' : ''}`}
+            aria-current={i === step ? 'step' : undefined}
+          >
+            <span className="wizard-step-num">{String(i + 1).padStart(2, '0')}</span>
+            {t(s.labelKey)}
+          </li>
+        ))}
+      </ol>
+
+      <h3 className="wizard-heading" ref={headingRef} tabIndex={-1}>
+        {t('brief.stepHeading', { index: step + 1, count: steps.length, label: t(steps[step].labelKey) })}
+      </h3>
+
+      {stepId === 'contact' && (
+        <>
+          <div className="form-group">
+            <label className="form-label" htmlFor="brief-name">{t('brief.name')}</label>
+            <input type="text" {...fieldProps('name')} className="form-input" placeholder={t('brief.namePlaceholder')} autoComplete="name" />
+            {fieldError('name')}
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="brief-email">{t('brief.email')}</label>
+            <input type="email" {...fieldProps('email')} className="form-input" placeholder={t('brief.emailPlaceholder')} autoComplete="email" />
+            {fieldError('email')}
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="brief-company">{t('brief.company')}</label>
+            <input type="text" {...fieldProps('company')} className="form-input" placeholder={t('brief.companyPlaceholder')} autoComplete="organization" />
+          </div>
+        </>
+      )}
+
+      {stepId === 'project' && (
+        <>
+          <fieldset className="form-group">
+            <legend className="form-label">{t('brief.services')}</legend>
+            {choiceGroup('services', serviceOptions, 'checkbox')}
+            {fieldError('services')}
+          </fieldset>
+          <fieldset className="form-group">
+            <legend className="form-label">{t('brief.budget')}</legend>
+            {choiceGroup('budget', budgetOptions, 'radio')}
+            {fieldError('budget')}
+          </fieldset>
+        </>
+      )}
+
+      {stepId === 'shoot' && (
+        <>
+          <div className="wizard-row">
+            <div className="form-group">
+              <label className="form-label" htmlFor="brief-shootStart">{t('brief.shootStart')}</label>
+              <input type="date" {...fieldProps('shootStart')} className="form-input" disabled={data.flexibleDates} />
+              {fieldError('shootStart')}
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="brief-shootEnd">{t('brief.shootEnd')}</label>
+              <input type="date" {...fieldProps('shootEnd')} className="form-input" min={data.shootStart || undefined} disabled={data.flexibleDates} />
+              {fieldError('shootEnd')}
+            </div>
+          </div>
+          <label className="wizard-choice">
+            <input type="checkbox" name="flexibleDates" checked={data.flexibleDates} onChange={handleChange} />
+            <span>{t('brief.flexibleDates')}</span>
+          </label>
+          <div className="form-group">
+            <label className="form-label" htmlFor="brief-location">{t('brief.location')}</label>
+            <input type="text" {...fieldProps('location')} className="form-input" placeholder={t('brief.locationPlaceholder')} />
+          </div>
+        </>
+      )}
+
+      {stepId === 'deliverables' && (
+        <>
+          <fieldset className="form-group">
+            <legend className="form-label">{t('brief.formats')}</legend>
+            {choiceGroup('formats', formatOptions, 'checkbox')}
+            {fieldError('formats')}
+          </fieldset>
+          <div className="form-group">
+            <label className="form-label" htmlFor="brief-references">{t('brief.references')}</label>
+            <input
+              type="file"
+              id="brief-references"
+              className="wizard-file"
+              multiple
+              accept="image/*,application/pdf"
+              onChange={handleFiles}
+              aria-describedby={errors.references ? 'brief-references-error' : 'brief-references-hint'}
+            />
+            <p className="form-hint" id="brief-references-hint">
+              {t('brief.referencesHint', { max: MAX_REFERENCE_FILES })}
+            </p>
+            {files.length > 0 && (
+              <ul className="wizard-files">
+                {files.map((file, i) => (
+                  <li key={`${file.name}-${i}`}>
+                    <span>{file.name} · {formatSize(file.size)}</span>
+                    <button type="button" className="wizard-link" onClick={() => removeFile(i)} aria-label={t('brief.removeFile', { name: file.name })}>
+                      {t('brief.remove')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {fieldError('references')}
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="brief-message">{t('brief.message')}</label>
+            <textarea {...fieldProps('message')} className="form-input" placeholder={t('brief.messagePlaceholder')} />
+          </div>
+        </>
+      )}
+
+      {isReview && (
+        <>
+          <dl className="wizard-summary">
+            {summarizeBrief(reviewBrief, t).map(([label, value]) => (
+              <div key={label}>
+                <dt className="form-label">{label}</dt>
+                <dd>{value}</dd>
+              </div>
+            ))}
+          </dl>
+          <BriefExports brief={reviewBrief} />
+        </>
+      )}
+
+      <div className="wizard-actions">
+        {step > 0 && (
+          <button type="button" className="wizard-back" onClick={() => goTo(step - 1)}>
+            {t('brief.back')}
+          </button>
+        )}
+        <button
+          type="submit"
+          className={`form-submit${isReview ? ` form-submit-${status}` : ''}`}
+          disabled={status === 'sending'}
+          aria-busy={status === 'sending'}
+        >
+          {isReview ? t(`brief.submit.${status}`) : t('brief.next')}
+        </button>
+      </div>
+      <p className={`form-status form-status-${status}`} role="status" aria-live="polite">
+        {status === 'error' && t('brief.sendError')}
+      </p>
+    </form>
+  )
+}
+
+export default BriefWizard
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { heroCards } from '../content/heroCards'
+import { assetUrl } from '../lib/projects'
+import { useReducedMotion } from '../lib/motion'
+import { useTranslation } from '../lib/i18n'
+import { trackEvent } from '../lib/analytics'
+
+const AUTO_ADVANCE_MS = 4000
+// Horizontal travel (px) that counts as a swipe rather than a tap
+const SWIPE_THRESHOLD = 40
+
+// Position of a card along the fan, from -0.5 (left) to 0.5 (right)
+const fanOffset = (index, count) => (count > 1 ? index / (count - 1) - 0.5 : 0)
+
+// Fanned-out image carousel. Advances on its own until the visitor hovers,
+// focuses or pauses it (never with reduced motion); arrow keys, swipes, the
+// prev/next buttons, the dots and clicking a card all change the slide.
+const CardFan = React.memo(function CardFan({ images = heroCards, label }) {
+  const [active, setActive] = useState(0)
+  const [paused, setPaused] = useState(false)
+  const [hovered, setHovered] = useState(false)
+  const [focused, setFocused] = useState(false)
+  const reducedMotion = useReducedMotion()
+  const { t } = useTranslation()
+  const swipeStart = useRef(null)
+  const swiped = useRef(false)
+  const count = images.length
+
+  const autoAdvance = count > 1 && !reducedMotion && !paused && !hovered && !focused
+
+  const show = (index) => setActive((index + count) % count)
+  // The visitor's own moves, reported as `carousel` events with what they used
+  const go = (index, via) => {
+    trackEvent('carousel', { action: 'show', via, slide: ((index + count) % count) + 1 })
+    show(index)
+  }
+  const next = (via) => go(active + 1, via)
+  const previous = (via) => go(active - 1, via)
+
+  // A fresh timeout per slide, so manual navigation restarts the countdown
+  useEffect(() => {
+    if (!autoAdvance) return
+    const id = setTimeout(() => setActive((current) => (current + 1) % count), AUTO_ADVANCE_MS)
+    return () => clearTimeout(id)
+  }, [autoAdvance, active, count])
+
+  const handleKeyDown = (e) => {
+    const actions = {
+      ArrowRight: () => next('key'),
+      ArrowLeft: () => previous('key'),
+      Home: () => go(0, 'key'),
+      End: () => go(count - 1, 'key'),
+    }
+    if (!actions[e.key]) return
+    e.preventDefault()
+    actions[e.key]()
+  }
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocused(false)
+  }
+
+  const handlePointerDown = (e) => {
+    swipeStart.current = e.clientX
+    swiped.current = false
+  }
+
+  const handlePointerUp = (e) => {
+    if (swipeStart.current === null) return
+    const distance = e.clientX - swipeStart.current
+    swipeStart.current = null
+    swiped.current = Math.abs(distance) >= SWIPE_THRESHOLD
+    if (!swiped.current) return
+    if (distance < 0) next('swipe')
+    else previous('swipe')
+  }
+
+  // The click that ends a swipe must not also select the card under the pointer
+  const handleCardClick = (index) => {
+    if (swiped.current) {
+      swiped.current = false
+      return
+    }
+    if (index !== active) go(index, 'card')
+  }
+
+  return (
+    <div
+      className="card-fan-carousel"
+      role="region"
+      aria-roledescription="carousel"
+      aria-label={label ?? t('carousel.label')}
+      onKeyDown={handleKeyDown}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setFocused(true)}
+      onBlur={handleBlur}
+    >
+      <div
+        className="card-fan"
+        aria-live={autoAdvance ? 'off' : 'polite'}
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          swipeStart.current = null
+        }}
+      >
+        {images.map((image, index) => (
+          <div
+            key={image.src}
+            className={`fan-card${index === active ? ' active' : ''}`}
+            role="group"
+            aria-roledescription="slide"
+            aria-label={t('carousel.slide', { index: index + 1, count })}
+            aria-hidden={index !== active}
+            style={{ '--offset': fanOffset(index, count), '--z': index + 1 }}
+            onClick={() => handleCardClick(index)}
+          >
+            <img
+              src={assetUrl(image.src)}
+              alt={image.alt ?? t('carousel.imageAlt', { index: index + 1 })}
+              loading="eager"
+              decoding="async"
+              draggable="false"
+            />
+          </div>
+        ))}
+      </div>
+
+      {count > 1 && (
+        <div className="card-fan-controls">
+          <button type="button" className="card-fan-button" onClick={() => previous('button')} aria-label={t('carousel.previous')}>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+              <path d="M15 18l-6-6 6-6" />
+            </svg>
+          </button>
+          <div className="card-fan-dots">
+            {images.map((image, index) => (
+              <button
+                key={image.src}
+                type="button"
+                className="card-fan-dot"
+                aria-label={t('carousel.show', { index: index + 1 })}
+                aria-current={index === active ? 'true' : undefined}
+                onClick={() => go(index, 'dot')}
+              />
+            ))}
+          </div>
+          <button type="button" className="card-fan-button" onClick={() => next('button')} aria-label={t('carousel.next')}>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+              <path d="M9 18l6-6-6-6" />
+            </svg>
+          </button>
+          {!reducedMotion && (
+            <button
+              type="button"
+              className="card-fan-button"
+              onClick={() => {
+                trackEvent('carousel', { action: paused ? 'play' : 'pause', via: 'button', slide: active + 1 })
+                setPaused(!paused)
+              }}
+              aria-label={paused ? t('carousel.start') : t('carousel.stop')}
+            >
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <path d={paused ? 'M7 4l13 8-13 8z' : 'M6 4h4v16H6zM14 4h4v16h-4z'} />
+              </svg>
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default CardFan
@@ -0,0 +1,138 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import { analyticsAvailable } from '../lib/analytics'
+import { CONSENT_CATEGORIES, setConsent, useConsent } from '../lib/consent'
+import { useTranslation } from '../lib/i18n'
+
+// The categories worth asking about: not `necessary`, which is always on,
+// and not analytics when no sink is configured or the browser sends Do Not
+// Track, since nothing would be recorded either way
+const askedCategories = () =>
+  CONSENT_CATEGORIES.filter((category) => category !== 'necessary' && (category !== 'analytics' || analyticsAvailable()))
+
+const chooseAll = (choice) => setConsent(Object.fromEntries(askedCategories().map((category) => [category, choice])))
+
+function ConsentBanner({ onCustomize }) {
+  const { t } = useTranslation()
+
+  return (
+    <section className="consent-banner" aria-label={t('consent.label')}>
+      <p className="consent-text">
+        {t(askedCategories().includes('analytics') ? 'consent.textWithAnalytics' : 'consent.text')}
+      </p>
+      <div className="consent-actions">
+        <button type="button" className="consent-button consent-button-link" onClick={onCustomize}>
+          {t('consent.customize')}
+        </button>
+        <button type="button" className="consent-button" onClick={() => chooseAll('denied')}>
+          {t('consent.rejectAll')}
+        </button>
+        <button type="button" className="consent-button consent-button-accept" onClick={() => chooseAll('granted')}>
+          {t('consent.acceptAll')}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+// Modal with a switch per category, starting from the visitor's current
+// choices; nothing changes until one of its buttons is pressed
+function ConsentPreferences({ onClose }) {
+  const dialogRef = useRef(null)
+  const id = useId()
+  const consent = useConsent()
+  const [granted, setGranted] = useState(() =>
+    Object.fromEntries(askedCategories().map((category) => [category, consent[category] === 'granted'])))
+  const { t } = useTranslation()
+
+  useEffect(() => {
+    const dialog = dialogRef.current
+    const opener = document.activeElement
+    dialog.showModal()
+    return () => {
+      dialog.close()
+      opener?.focus?.()
+    }
+  }, [])
+
+  // Escape fires `cancel`; close through the parent so it unmounts us
+  const handleCancel = (e) => {
+    e.preventDefault()
+    onClose()
+  }
+
+  // Clicks on the backdrop land on the dialog element itself
+  const handleClick = (e) => {
+    if (e.target === e.currentTarget) onClose()
+  }
+
+  const save = () => {
+    setConsent(Object.fromEntries(Object.entries(granted)
+      .map(([category, on]) => [category, on ? 'granted' : 'denied'])))
+    onClose()
+  }
+
+  const saveAll = (choice) => {
+    chooseAll(choice)
+    onClose()
+  }
+
+  return (
+    <dialog
+      ref={dialogRef}
+      className="consent-dialog"
+      aria-labelledby={`${id}-title`}
+      onCancel={handleCancel}
+      onClick={handleClick}
+    >
+      <div className="consent-dialog-body">
+        <h2 className="consent-dialog-title" id={`${id}-title`}>{t('consent.title')}</h2>
+        <ul className="consent-categories">
+          {['necessary', ...askedCategories()].map((category) => (
+            <li key={category} className="consent-category">
+              <label className="consent-category-toggle">
+                <input
+                  type="checkbox"
+                  checked={category === 'necessary' || granted[category]}
+                  disabled={category === 'necessary'}
+                  onChange={(e) => setGranted({ ...granted, [category]: e.target.checked })}
+                  aria-describedby={`${id}-${category}`}
+                />
+                <span className="consent-category-title">{t(`consent.categories.${category}.title`)}</span>
+                {category === 'necessary' && <span className="consent-category-note">{t('consent.alwaysOn')}</span>}
+              </label>
+              <p className="consent-category-text" id={`${id}-${category}`}>
+                {t(`consent.categories.${category}.text`)}
+              </p>
+            </li>
+          ))}
+        </ul>
+        <div className="consent-actions">
+          <button type="button" className="consent-button" onClick={() => saveAll('denied')}>
+            {t('consent.rejectAll')}
+          </button>
+          <button type="button" className="consent-button" onClick={() => saveAll('granted')}>
+            {t('consent.acceptAll')}
+          </button>
+          <button type="button" className="consent-button consent-button-accept" onClick={save}>
+            {t('consent.save')}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  )
+}
+
+// Asks once about every optional category that applies (see lib/consent.js)
+// and remembers the answer. The banner offers all or nothing, or the
+// preferences dialog for one category at a time; the footer's privacy
+// settings link opens the dialog again at any time.
+function ConsentManager({ preferencesOpen, onPreferencesOpenChange }) {
+  const consent = useConsent()
+  const undecided = askedCategories().some((category) => !consent[category])
+
+  if (preferencesOpen) return <ConsentPreferences onClose={() => onPreferencesOpenChange(false)} />
+  if (undecided) return <ConsentBanner onCustomize={() => onPreferencesOpenChange(true)} />
+  return null
+}
+
+export default ConsentManager
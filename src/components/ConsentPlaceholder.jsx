@@ -0,0 +1,26 @@
+import { setConsent } from '../lib/consent'
+import { useTranslation } from '../lib/i18n'
+
+// Stands in for third-party content (`host`, e.g. YouTube) the visitor
+// hasn't allowed yet. "Load content" loads this one item through `onLoad`;
+// "Always allow" grants its consent category, so every item of that kind
+// loads from now on.
+function ConsentPlaceholder({ category, host, onLoad }) {
+  const { t } = useTranslation()
+
+  return (
+    <div className="consent-placeholder" role="group" aria-label={t('consent.gate.label', { host })}>
+      <p className="consent-placeholder-text">{t('consent.gate.text', { host })}</p>
+      <div className="consent-actions">
+        <button type="button" className="consent-button" onClick={() => setConsent({ [category]: 'granted' })}>
+          {t('consent.gate.always', { category: t(`consent.categories.${category}.title`) })}
+        </button>
+        <button type="button" className="consent-button consent-button-accept" onClick={onLoad}>
+          {t('consent.gate.load')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ConsentPlaceholder
@@ -0,0 +1,102 @@
+import { useRef, useMemo, useEffect } from 'react'
+import { useFrame, useLoader, useThree } from '@react-three/fiber'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader'
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader'
+import * as THREE from 'three'
+import { heroModel, loaderFor, modelSourceUrl, prepareModel, applyTint, applyView, textureEntries } from '../lib/models'
+import { assetUrl } from '../lib/projects'
+import { modelRotationRef, registerHeroInvalidate } from '../lib/scene'
+import { useSceneTheme } from '../lib/theme'
+
+// Radians; below this the model counts as having reached its scroll rotation
+const ROTATION_EPSILON = 1e-4
+
+// Loads the texture maps listed in the manifest as { slot: texture }
+function useTextures(model, mode) {
+  const loaded = useLoader(THREE.TextureLoader, textureEntries(model, mode).map(([, url]) => url))
+  return useMemo(
+    () => Object.fromEntries(textureEntries(model, mode).map(([slot], i) => [slot, loaded[i]])),
+    [model, mode, loaded]
+  )
+}
+
+function PreparedModel({ source, model, mode, view, onLoad }) {
+  const textures = useTextures(model, mode)
+  const object = useMemo(() => prepareModel(source, model, textures, mode), [source, model, textures, mode])
+  const { tint, wireframe, blank } = useSceneTheme()
+  const invalidate = useThree((state) => state.invalidate)
+
+  // Materials change in place, so the on-demand canvas needs a new frame
+  useEffect(() => {
+    applyTint(object, tint)
+    invalidate()
+  }, [object, tint, invalidate])
+
+  useEffect(() => {
+    applyView(object, view, { wireframe, blank })
+    invalidate()
+  }, [object, view, wireframe, blank, invalidate])
+
+  useEffect(() => {
+    onLoad?.(object)
+  }, [object, onLoad])
+
+  return <primitive object={object} />
+}
+
+function LoadedAsset({ model, ...props }) {
+  const { Loader, extend } = loaderFor(model)
+  const result = useLoader(Loader, modelSourceUrl(model), extend)
+  // GLTFLoader resolves to { scene, ... }, OBJLoader to the group itself
+  return <PreparedModel source={result.scene ?? result} model={model} {...props} />
+}
+
+function ObjWithMaterials({ model, ...props }) {
+  const materials = useLoader(MTLLoader, assetUrl(model.mtl))
+  const obj = useLoader(OBJLoader, assetUrl(model.src), (loader) => {
+    materials.preload()
+    loader.setMaterials(materials)
+  })
+  return <PreparedModel source={obj} model={model} {...props} />
+}
+
+// Renders any prop from src/content/models.json. The hero copy follows the
+// scroll-driven rotation in modelRotationRef; the showroom turns it itself.
+// `view` switches between the full material, a single texture map and a
+// wireframe; `mode` is the render mode ('full' or 'simplified'); `onLoad`
+// receives the prepared object once it is ready. `children` turn with the
+// model, for things pinned to it such as ModelHotspots.
+function CustomModel({ model = heroModel, mode = 'full', view = 'full', followScroll = true, onLoad, children }) {
+  const groupRef = useRef()
+  const Asset = model.mtl ? ObjWithMaterials : LoadedAsset
+  const invalidate = useThree((state) => state.invalidate)
+
+  useEffect(() => {
+    if (followScroll) return registerHeroInvalidate(invalidate)
+  }, [followScroll, invalidate])
+
+  // The canvas renders on demand: keep asking for frames until the rotation
+  // has caught up with its target
+  useFrame(() => {
+    if (followScroll && groupRef.current) {
+      const { rotation } = groupRef.current
+      const targetX = (modelRotationRef.current.x * Math.PI) / 180
+      const targetY = (modelRotationRef.current.y * Math.PI) / 180
+      rotation.x = THREE.MathUtils.lerp(rotation.x, targetX, 0.1)
+      rotation.y = THREE.MathUtils.lerp(rotation.y, targetY, 0.1)
+
+      if (Math.abs(rotation.x - targetX) > ROTATION_EPSILON || Math.abs(rotation.y - targetY) > ROTATION_EPSILON) {
+        invalidate()
+      }
+    }
+  })
+
+  return (
+    <group ref={groupRef}>
+      <Asset key={model.id} model={model} mode={mode} view={view} onLoad={onLoad} />
+      {children}
+    </group>
+  )
+}
+
+export default CustomModel
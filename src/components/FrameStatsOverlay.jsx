@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react'
+import { frameStats } from '../lib/renderQuality'
+
+const SAMPLE_MS = 500
+
+// Debug readout for the hero canvas. Polls the shared counters instead of
+// subscribing, so it never makes the canvas itself re-render.
+function FrameStatsOverlay() {
+  const [stats, setStats] = useState({ fps: 0, renders: 0, dpr: 1, antialias: true, active: true })
+
+  useEffect(() => {
+    let lastRenders = frameStats.renders
+    let lastTime = performance.now()
+
+    const id = setInterval(() => {
+      const now = performance.now()
+      const fps = ((frameStats.renders - lastRenders) * 1000) / (now - lastTime)
+      lastRenders = frameStats.renders
+      lastTime = now
+      setStats({ ...frameStats, fps })
+    }, SAMPLE_MS)
+
+    return () => clearInterval(id)
+  }, [])
+
+  return (
+    <dl className="frame-stats" aria-hidden="true">
+      <div><dt>FPS</dt><dd>{stats.fps.toFixed(0)}</dd></div>
+      <div><dt>Renders</dt><dd>{stats.renders}</dd></div>
+      <div><dt>DPR</dt><dd>{stats.dpr}</dd></div>
+      <div><dt>AA</dt><dd>{stats.antialias ? 'on' : 'off'}</dd></div>
+      <div><dt>Loop</dt><dd>{stats.active ? 'demand' : 'paused'}</dd></div>
+    </dl>
+  )
+}
+
+export default FrameStatsOverlay
@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef, useCallback, useMemo, Suspense } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import CustomModel from './CustomModel'
+import ModelCanvas from './ModelCanvas'
+import SceneLights from './SceneLights'
+import ModelLoader from './ModelLoader'
+import ModelHotspots from './ModelHotspots'
+import FrameStatsOverlay from './FrameStatsOverlay'
+import { useRenderActive } from '../lib/visibility'
+import { createQuality, recordFrame, frameStats } from '../lib/renderQuality'
+import { heroModel, modelAssetUrls, floorLevel } from '../lib/models'
+import { usePreload } from '../lib/preload'
+import { getRenderMode } from '../lib/webgl'
+import { assetUrl } from '../lib/projects'
+import { useHeroWaypoint } from '../lib/scene'
+
+// `?debug` in the URL shows frame rate, render count and pixel ratio
+const showFrameStats = new URLSearchParams(window.location.search).has('debug')
+
+// Feeds frame times into the quality state and reports pixel ratio and
+// antialiasing changes up to the stage
+function AdaptiveQuality({ qualityRef, active, onChange }) {
+  const invalidate = useThree((state) => state.invalidate)
+
+  // Rendering was paused while hidden or off-screen: draw a fresh frame
+  useEffect(() => {
+    if (active) invalidate()
+  }, [active, invalidate])
+
+  useFrame((state, delta) => {
+    frameStats.renders++
+    const previous = qualityRef.current
+    const next = recordFrame(previous, delta * 1000)
+    qualityRef.current = next
+    if (next.dpr !== previous.dpr || next.antialias !== previous.antialias) {
+      onChange({ dpr: next.dpr, antialias: next.antialias })
+    }
+  })
+
+  return null
+}
+
+// The scroll-animated hero model, drawn in the render mode the device can
+// handle. Its assets are preloaded behind a progress ring. The canvas
+// renders on demand (only while the model is moving), stops entirely while
+// the tab is hidden or the stage is off-screen, and trades resolution for
+// frame rate on slow devices.
+function HeroStage({ containerRef, hidden }) {
+  const mode = getRenderMode()
+  const active = useRenderActive(containerRef)
+  const assetUrls = useMemo(() => (mode === 'static' ? [] : modelAssetUrls(heroModel, mode)), [mode])
+  const assets = usePreload(assetUrls)
+  const [floor, setFloor] = useState(null)
+  const ready = floor !== null
+  const handleLoad = useCallback((object) => setFloor(floorLevel(object)), [])
+  const { lighting, showcase } = useHeroWaypoint()
+  const [initialQuality] = useState(() => createQuality(window.devicePixelRatio))
+  const qualityRef = useRef(initialQuality)
+  const [settings, setSettings] = useState({ dpr: initialQuality.dpr, antialias: initialQuality.antialias })
+
+  useEffect(() => {
+    frameStats.active = active
+    frameStats.dpr = settings.dpr
+    frameStats.antialias = settings.antialias
+  }, [active, settings])
+
+  const still = heroModel.still && <img className="model-still" src={assetUrl(heroModel.still)} alt="" />
+
+  return (
+    <>
+      <div className="scroll-cube-container" ref={containerRef} hidden={hidden}>
+        {/* Antialiasing is fixed when the WebGL context is created, so
+            dropping it means a new canvas */}
+        <ModelCanvas
+          scene="hero"
+          mode={mode}
+          assetsFailed={assets.failed}
+          still={still}
+          overlay={!ready && <ModelLoader progress={assets.progress} />}
+          canvasKey={settings.antialias ? 'antialiased' : 'aliased'}
+          frameloop={active ? 'demand' : 'never'}
+          dpr={settings.dpr}
+          camera={{ position: [0, 0, 3], fov: 50 }}
+          style={{ width: '100%', height: '100%' }}
+          gl={{ antialias: settings.antialias, alpha: true }}
+        >
+          {/* A floor would show as a slab floating over the page; the
+              contact shadow alone grounds the model */}
+          <SceneLights preset={lighting} ground={false} floor={floor ?? undefined} mode={mode} />
+          {assets.done && (
+            <Suspense fallback={null}>
+              <CustomModel mode={mode} onLoad={handleLoad}>
+                {/* The canvas is only as big as the model, so the labels
+                    are drawn into the container around it */}
+                {showcase && <ModelHotspots model={heroModel} portal={containerRef} />}
+              </CustomModel>
+            </Suspense>
+          )}
+          <AdaptiveQuality qualityRef={qualityRef} active={active} onChange={setSettings} />
+        </ModelCanvas>
+      </div>
+      {showFrameStats && <FrameStatsOverlay />}
+    </>
+  )
+}
+
+export default HeroStage
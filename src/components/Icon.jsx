@@ -0,0 +1,12 @@
+import { icons } from '../content/icons'
+
+// Stroke icon from the registry in src/content/icons.js
+function Icon({ name, ...props }) {
+  return (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" aria-hidden="true" {...props}>
+      <path d={icons[name]} />
+    </svg>
+  )
+}
+
+export default Icon
@@ -0,0 +1,23 @@
+import { href, navigate, useLocale } from '../lib/router'
+
+// Anchor that navigates client-side while keeping a real href for
+// new tabs, crawlers and middle-clicks
+function Link({ to, onClick, children, ...props }) {
+  const locale = useLocale()
+
+  const handleClick = (e) => {
+    onClick?.(e)
+    if (e.defaultPrevented || e.button !== 0) return
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    navigate(to)
+  }
+
+  return (
+    <a href={href(to, locale)} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
@@ -0,0 +1,37 @@
+import { LOCALES } from '../locales'
+import { href, switchLocale } from '../lib/router'
+import { useTranslation, translator, rememberLocale } from '../lib/i18n'
+
+// Nav links to the current page in each language. Each is a real link (so
+// crawlers and new tabs get the right URL) labelled in its own language.
+function LocaleSwitcher({ path }) {
+  const { locale, t } = useTranslation()
+
+  const handleClick = (e, next) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    rememberLocale(next)
+    if (next !== locale) switchLocale(next)
+  }
+
+  return (
+    <ul className="locale-switcher" aria-label={t('nav.language')}>
+      {LOCALES.map((option) => (
+        <li key={option}>
+          <a
+            href={href(path, option)}
+            hrefLang={option}
+            lang={option}
+            title={translator(option)('meta.language')}
+            aria-current={option === locale ? 'true' : undefined}
+            onClick={(e) => handleClick(e, option)}
+          >
+            {option.toUpperCase()}
+          </a>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default LocaleSwitcher
@@ -0,0 +1,56 @@
+import { useEffect } from 'react'
+import { Canvas, useThree } from '@react-three/fiber'
+import ModelErrorBoundary from './ModelErrorBoundary'
+import { useContextRecovery } from '../lib/contextRecovery'
+import { track } from '../lib/telemetry'
+
+// Forwards the canvas' context loss events. three.js already keeps the
+// context restorable; the on-demand loop needs a fresh frame afterwards.
+function ContextLossGuard({ onLost, onRestored }) {
+  const gl = useThree((state) => state.gl)
+  const invalidate = useThree((state) => state.invalidate)
+
+  useEffect(() => {
+    const canvas = gl.domElement
+    const handleRestored = () => {
+      onRestored()
+      invalidate()
+    }
+    canvas.addEventListener('webglcontextlost', onLost)
+    canvas.addEventListener('webglcontextrestored', handleRestored)
+    return () => {
+      canvas.removeEventListener('webglcontextlost', onLost)
+      canvas.removeEventListener('webglcontextrestored', handleRestored)
+    }
+  }, [gl, invalidate, onLost, onRestored])
+
+  return null
+}
+
+// The WebGL layer shared by the hero and the showroom. Shows `still`
+// instead of a canvas in static mode, when assets failed to download, when
+// the scene throws, and after repeated context losses; covers the canvas
+// with it while a lost context is being recovered. `overlay` (the loader)
+// sits on top of the canvas. `scene` names the canvas in telemetry.
+function ModelCanvas({ scene, mode, assetsFailed = false, still = null, overlay = null, canvasKey = '', children, ...canvasProps }) {
+  const recovery = useContextRecovery(scene)
+  const fallbackReason = recovery.failed ? 'context-lost' : assetsFailed ? 'asset-error' : null
+
+  useEffect(() => {
+    if (fallbackReason) track('render-fallback', { scene, reason: fallbackReason })
+  }, [scene, fallbackReason])
+
+  if (mode === 'static' || fallbackReason) return still
+
+  return (
+    <ModelErrorBoundary scene={scene} fallback={still}>
+      <Canvas key={`${canvasKey}-${recovery.generation}`} {...canvasProps}>
+        <ContextLossGuard onLost={recovery.handleLost} onRestored={recovery.handleRestored} />
+        {children}
+      </Canvas>
+      {recovery.lost ? <div className="model-canvas-cover">{still}</div> : overlay}
+    </ModelErrorBoundary>
+  )
+}
+
+export default ModelCanvas
@@ -0,0 +1,91 @@
+// @vitest-environment jsdom
+import { act, cleanup, render, screen } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import ModelCanvas from './ModelCanvas'
+import { telemetryHistory } from '../lib/telemetry'
+
+// jsdom has no WebGL, so the canvas is a plain element whose context loss
+// events the tests fire by hand
+const three = vi.hoisted(() => ({ state: null }))
+
+vi.mock('@react-three/fiber', () => ({
+  Canvas: ({ children }) => <div data-testid="canvas">{children}</div>,
+  useThree: (select) => select(three.state),
+}))
+
+const still = <img alt="Studio prop" src="shaded.png" />
+
+const renderCanvas = (props = {}, children = null) =>
+  render(<ModelCanvas scene="hero" mode="full" still={still} {...props}>{children}</ModelCanvas>)
+
+const loseContext = () => act(() => {
+  three.state.gl.domElement.dispatchEvent(new Event('webglcontextlost'))
+})
+
+function Broken() {
+  throw new Error('Could not parse base.obj')
+}
+
+describe('ModelCanvas', () => {
+  beforeEach(() => {
+    three.state = { gl: { domElement: document.createElement('canvas') }, invalidate: vi.fn() }
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    cleanup()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('renders the scene when nothing went wrong', () => {
+    renderCanvas()
+    expect(screen.getByTestId('canvas')).toBeTruthy()
+    expect(screen.queryByAltText('Studio prop')).toBeNull()
+  })
+
+  it('shows the still in static mode', () => {
+    renderCanvas({ mode: 'static' })
+    expect(screen.queryByTestId('canvas')).toBeNull()
+    expect(screen.getByAltText('Studio prop')).toBeTruthy()
+  })
+
+  it('switches to the still when assets failed to download', () => {
+    renderCanvas({ assetsFailed: true })
+    expect(screen.queryByTestId('canvas')).toBeNull()
+    expect(screen.getByAltText('Studio prop')).toBeTruthy()
+    expect(telemetryHistory().at(-1)).toMatchObject({ name: 'render-fallback', scene: 'hero', reason: 'asset-error' })
+  })
+
+  it('falls back to the still when the scene throws', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    renderCanvas({}, <Broken />)
+    expect(screen.queryByTestId('canvas')).toBeNull()
+    expect(screen.getByAltText('Studio prop')).toBeTruthy()
+    expect(telemetryHistory().at(-1)).toMatchObject({ name: 'render-error', scene: 'hero', message: 'Could not parse base.obj' })
+  })
+
+  it('covers the canvas with the still while a lost context recovers', () => {
+    renderCanvas()
+    loseContext()
+    expect(screen.getByTestId('canvas')).toBeTruthy()
+    expect(screen.getByAltText('Studio prop').closest('.model-canvas-cover')).toBeTruthy()
+
+    act(() => vi.advanceTimersByTime(3000))
+    expect(screen.queryByAltText('Studio prop')).toBeNull()
+  })
+
+  it('replaces the canvas with the still after three context losses', () => {
+    renderCanvas()
+    for (let loss = 0; loss < 3; loss++) {
+      loseContext()
+      act(() => vi.advanceTimersByTime(3000))
+    }
+
+    expect(screen.queryByTestId('canvas')).toBeNull()
+    expect(screen.getByAltText('Studio prop')).toBeTruthy()
+    expect(telemetryHistory()).toContainEqual(expect.objectContaining({ name: 'render-fallback', scene: 'hero', reason: 'context-lost' }))
+  })
+})
@@ -0,0 +1,24 @@
+import { Component } from 'react'
+import { track } from '../lib/telemetry'
+
+// Catches asset and render failures from a 3D scene (the Canvas rethrows
+// them into the page tree) and shows `fallback` in its place. Error
+// boundaries still have to be class components.
+class ModelErrorBoundary extends Component {
+  state = { failed: false }
+
+  static getDerivedStateFromError() {
+    return { failed: true }
+  }
+
+  componentDidCatch(error) {
+    console.warn('3D prop failed to load, showing the still instead:', error)
+    track('render-error', { scene: this.props.scene, message: error?.message ?? String(error) })
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children
+  }
+}
+
+export default ModelErrorBoundary
@@ -0,0 +1,120 @@
+import { useId, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Html } from '@react-three/drei'
+import * as THREE from 'three'
+import Link from './Link'
+import { useTranslation } from '../lib/i18n'
+
+const anchorPosition = new THREE.Vector3()
+const modelCenter = new THREE.Vector3()
+const toCamera = new THREE.Vector3()
+
+function Hotspot({ model, hotspot, open, onToggle, onClose, anchorRef, portal }) {
+  const { t } = useTranslation()
+  const buttonRef = useRef(null)
+  const panelId = useId()
+  const copy = `hotspots.items.${model.id}.${hotspot.id}`
+  const label = t(`${copy}.label`)
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape' || !open) return
+    e.stopPropagation()
+    onClose()
+    buttonRef.current?.focus()
+  }
+
+  return (
+    <group position={hotspot.position} ref={(group) => anchorRef(hotspot.id, { group })}>
+      <Html
+        portal={portal}
+        className="hotspot-anchor"
+        zIndexRange={open ? [2, 2] : [1, 1]}
+        ref={(element) => anchorRef(hotspot.id, { element })}
+      >
+        <div className="hotspot" onKeyDown={handleKeyDown}>
+          <button
+            ref={buttonRef}
+            type="button"
+            className="hotspot-marker"
+            aria-expanded={open}
+            aria-controls={panelId}
+            onClick={onToggle}
+          >
+            <span className="hotspot-dot" aria-hidden="true" />
+            <span className="hotspot-label">{label}</span>
+          </button>
+          <div className="hotspot-panel" id={panelId} role="group" aria-label={label} hidden={!open}>
+            <h3 className="hotspot-title">{label}</h3>
+            <dl className="hotspot-facts">
+              <div>
+                <dt>{t('hotspots.material')}</dt>
+                <dd>{t(`${copy}.material`)}</dd>
+              </div>
+              <div>
+                <dt>{t('hotspots.technique')}</dt>
+                <dd>{t(`${copy}.technique`)}</dd>
+              </div>
+              {hotspot.buildDays !== undefined && (
+                <div>
+                  <dt>{t('hotspots.buildTime')}</dt>
+                  <dd>{t('hotspots.days', { count: hotspot.buildDays })}</dd>
+                </div>
+              )}
+            </dl>
+            <Link to={`services#service-${hotspot.service}`} className="hotspot-link" onClick={onClose}>
+              {t('hotspots.service', { service: t(`services.items.${hotspot.service}.title`) })}
+            </Link>
+            <button type="button" className="hotspot-close" aria-label={t('hotspots.close')} onClick={onClose}>
+              ×
+            </button>
+          </div>
+        </div>
+      </Html>
+    </group>
+  )
+}
+
+// Labelled points pinned to a prop (`hotspots` in src/content/models.json).
+// Render it inside the group that turns the model so the points turn with
+// it. A hotspot on the far side of the model from the camera is marked
+// data-facing="false" and hidden; clicking one opens its details with a
+// link to the service behind it. `portal` is a ref to the element the
+// labels are drawn into, for canvases too small to hold them.
+function ModelHotspots({ model, portal }) {
+  const [openId, setOpenId] = useState(null)
+  const anchorsRef = useRef({})
+  const camera = useThree((state) => state.camera)
+
+  // The group and the DOM element of each hotspot, filled in by ref callbacks
+  const anchorRef = (id, parts) => {
+    anchorsRef.current[id] = { ...anchorsRef.current[id], ...parts }
+  }
+
+  // Hotspots face outward from the model's centre, which sits at the origin
+  // of the group around them
+  useFrame(() => {
+    for (const { group, element } of Object.values(anchorsRef.current)) {
+      if (!group?.parent || !element) continue
+      group.getWorldPosition(anchorPosition)
+      group.parent.getWorldPosition(modelCenter)
+      toCamera.copy(camera.position).sub(anchorPosition)
+      const facing = String(anchorPosition.sub(modelCenter).dot(toCamera) > 0)
+      if (element.dataset.facing !== facing) element.dataset.facing = facing
+    }
+  })
+
+  return (model.hotspots ?? []).map((hotspot) => (
+    <Hotspot
+      key={hotspot.id}
+      model={model}
+      hotspot={hotspot}
+      open={openId === hotspot.id}
+      onToggle={() => setOpenId(openId === hotspot.id ? null : hotspot.id)}
+      onClose={() => setOpenId(null)}
+      anchorRef={anchorRef}
+      portal={portal}
+    />
+  ))
+}
+
+export default ModelHotspots
@@ -0,0 +1,37 @@
+import { useTranslation } from '../lib/i18n'
+
+const RADIUS = 42
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS
+
+// Branded progress ring shown while a prop downloads. `progress` runs from
+// 0 to 1, or is null while the download size is still unknown.
+function ModelLoader({ progress, label }) {
+  const { t } = useTranslation()
+  const percent = progress === null ? null : Math.round(progress * 100)
+
+  return (
+    <div
+      className="model-loader"
+      role="progressbar"
+      aria-label={label ?? t('loader.label')}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={percent ?? undefined}
+    >
+      <svg viewBox="0 0 100 100" className={`model-loader-ring${percent === null ? ' is-indeterminate' : ''}`}>
+        <circle className="model-loader-track" cx="50" cy="50" r={RADIUS} />
+        <circle
+          className="model-loader-bar"
+          cx="50"
+          cy="50"
+          r={RADIUS}
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - (percent === null ? 0.25 : progress))}
+        />
+      </svg>
+      <span className="model-loader-value">{percent === null ? 'V' : `${percent}%`}</span>
+    </div>
+  )
+}
+
+export default ModelLoader
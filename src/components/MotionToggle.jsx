@@ -0,0 +1,25 @@
+import { useReducedMotion, toggleMotion } from '../lib/motion'
+import { useTranslation } from '../lib/i18n'
+
+// Nav switch for the site-wide motion preference. Starts from the OS
+// setting; once pressed the choice is stored and overrides it, until it is
+// switched back to what the OS asks for (see lib/preferences.js).
+function MotionToggle() {
+  const reduced = useReducedMotion()
+  const { t } = useTranslation()
+
+  return (
+    <button
+      type="button"
+      className="nav-toggle"
+      aria-pressed={reduced}
+      title={reduced ? t('motion.off') : t('motion.on')}
+      onClick={toggleMotion}
+    >
+      <span className="toggle-indicator" aria-hidden="true" />
+      <span className="nav-toggle-label">{t('motion.toggle')}</span>
+    </button>
+  )
+}
+
+export default MotionToggle
@@ -0,0 +1,54 @@
+import { useState } from 'react'
+import Link from './Link'
+import VideoLightbox from './VideoLightbox'
+import { assetUrl, projectPath } from '../lib/projects'
+import { useVideoThumbnail } from '../lib/video'
+import { useTranslation } from '../lib/i18n'
+import { trackEvent } from '../lib/analytics'
+
+// Project card: the card opens the case study, the play button opens the film
+// in a lightbox. No player is loaded until the play button is pressed, and
+// the provider's thumbnail only once the visitor allows media; until then
+// the project's first still stands in.
+function PortfolioItem({ item, ...props }) {
+  const [playing, setPlaying] = useState(false)
+  const thumbnail = useVideoThumbnail(item.video, item.stills[0] && assetUrl(item.stills[0]))
+  const { t } = useTranslation()
+
+  const play = () => {
+    trackEvent('video_play', { video: item.title, from: 'portfolio' })
+    setPlaying(true)
+  }
+
+  return (
+    <article className="portfolio-item" {...props}>
+      <Link to={projectPath(item)} className="portfolio-link" aria-label={t('portfolio.caseStudy', { title: item.title })}>
+        <div className="portfolio-image">
+          {thumbnail ? (
+            <img
+              src={thumbnail}
+              alt={item.title}
+              className="portfolio-thumbnail"
+              loading="lazy"
+              decoding="async"
+            />
+          ) : (
+            <div className="portfolio-placeholder" />
+          )}
+        </div>
+        <div className="portfolio-overlay">
+          <span className="portfolio-category">{t(`projects.categories.${item.category}`)}</span>
+          <h3 className="portfolio-title">{item.title}</h3>
+        </div>
+      </Link>
+      {item.video && (
+        <button type="button" className="portfolio-play" onClick={play} aria-label={t('portfolio.play', { title: item.title })}>
+          <span className="video-play-icon" aria-hidden="true" />
+        </button>
+      )}
+      {playing && <VideoLightbox video={item.video} title={item.title} onClose={() => setPlaying(false)} />}
+    </article>
+  )
+}
+
+export default PortfolioItem
@@ -0,0 +1,14 @@
+import { Fragment } from 'react'
+
+// Renders the little markup catalog messages allow: *word* for the serif
+// accent and a newline for a line break
+function RichText({ children }) {
+  return children.split('\n').map((line, lineIndex) => (
+    <Fragment key={lineIndex}>
+      {lineIndex > 0 && <br />}
+      {line.split('*').map((part, index) => (index % 2 ? <span key={index} className="serif">{part}</span> : part))}
+    </Fragment>
+  ))
+}
+
+export default RichText
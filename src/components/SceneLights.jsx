@@ -0,0 +1,111 @@
+import { useEffect, useRef, useState, Suspense } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { ContactShadows, Environment, useEnvironment } from '@react-three/drei'
+import * as THREE from 'three'
+import { LIGHTING_PRESETS, DEFAULT_SHADOWS, getLightingPreset, environmentUrl } from '../lib/lighting'
+import { useSceneTheme } from '../lib/theme'
+
+const LIGHT_SLOTS = 3
+const UNUSED_LIGHT = { position: [0, 5, 0], intensity: 0, color: '#ffffff' }
+// Per-frame follow factor when gliding to another preset's lights
+const BLEND = 0.08
+const REST_EPSILON = 1e-3
+
+const slotsOf = (preset) => Array.from({ length: LIGHT_SLOTS }, (_, i) => preset.lights[i] ?? UNUSED_LIGHT)
+
+const position = new THREE.Vector3()
+const color = new THREE.Color()
+
+// The preset's directional lights. Switching presets glides the lights to
+// their new positions, colours and intensities instead of cutting.
+function PresetLights({ preset, exposure }) {
+  const lightsRef = useRef([])
+  const invalidate = useThree((state) => state.invalidate)
+  // Rendered once; later changes are applied frame by frame below
+  const [initial] = useState(() => slotsOf(preset).map((light) => ({ ...light, intensity: light.intensity * exposure })))
+
+  useEffect(() => {
+    invalidate()
+  }, [preset, exposure, invalidate])
+
+  useFrame(() => {
+    let moving = false
+    slotsOf(preset).forEach((target, i) => {
+      const light = lightsRef.current[i]
+      if (!light) return
+      const intensity = target.intensity * exposure
+      light.intensity = THREE.MathUtils.lerp(light.intensity, intensity, BLEND)
+      light.position.lerp(position.set(...target.position), BLEND)
+      light.color.lerp(color.set(target.color), BLEND)
+      if (Math.abs(light.intensity - intensity) > REST_EPSILON || light.position.distanceTo(position) > REST_EPSILON) {
+        moving = true
+      }
+    })
+    if (moving) invalidate()
+  })
+
+  return initial.map((light, i) => (
+    <directionalLight
+      key={i}
+      ref={(element) => {
+        lightsRef.current[i] = element
+      }}
+      position={light.position}
+      intensity={light.intensity}
+      color={light.color}
+    />
+  ))
+}
+
+// Lighting for a 3D prop from a preset in src/content/lighting.js, scaled
+// and coloured by the active theme: the studio environment, the preset's
+// lights, and optionally a contact shadow and a ground plane at `floor` (the
+// prop's lowest point). `shadows` and `ground` override the preset's own
+// choice. The simplified render mode skips the environment and shadow.
+function SceneLights({ preset: presetId, shadows, ground, floor = -1.1, mode = 'full' }) {
+  const preset = getLightingPreset(presetId)
+  const theme = useSceneTheme()
+  const full = mode === 'full'
+  const shadowSettings = (shadows ?? Boolean(preset.shadows)) && (preset.shadows ?? DEFAULT_SHADOWS)
+
+  // Every environment is small, so fetch them all up front and switch
+  // presets without waiting
+  useEffect(() => {
+    if (!full) return
+    const files = new Set(LIGHTING_PRESETS.map((id) => environmentUrl(getLightingPreset(id).environment)))
+    for (const file of files) useEnvironment.preload({ files: file })
+  }, [full])
+
+  return (
+    <>
+      <ambientLight intensity={theme.ambient} />
+      <PresetLights preset={preset} exposure={theme.exposure} />
+      {full && (
+        <Suspense fallback={null}>
+          <Environment
+            files={environmentUrl(preset.environment)}
+            environmentIntensity={preset.environmentIntensity * theme.exposure}
+          />
+        </Suspense>
+      )}
+      {full && shadowSettings && (
+        <ContactShadows
+          position={[0, floor + 0.001, 0]}
+          opacity={shadowSettings.opacity}
+          blur={shadowSettings.blur}
+          color={theme.shadow}
+          scale={6}
+          far={3}
+        />
+      )}
+      {(ground ?? preset.ground) && (
+        <mesh rotation-x={-Math.PI / 2} position={[0, floor, 0]}>
+          <circleGeometry args={[4, 64]} />
+          <meshStandardMaterial color={theme.ground} roughness={1} />
+        </mesh>
+      )}
+    </>
+  )
+}
+
+export default SceneLights
@@ -0,0 +1,25 @@
+import { useTheme, toggleTheme } from '../lib/theme'
+import { useTranslation } from '../lib/i18n'
+
+// Nav switch between the light and dark themes. Starts from the OS colour
+// scheme; once pressed the choice is stored and overrides it, until it is
+// switched back to what the OS asks for (see lib/preferences.js).
+function ThemeToggle() {
+  const light = useTheme() === 'light'
+  const { t } = useTranslation()
+
+  return (
+    <button
+      type="button"
+      className="nav-toggle"
+      aria-pressed={light}
+      title={light ? t('theme.light') : t('theme.dark')}
+      onClick={toggleTheme}
+    >
+      <span className="toggle-indicator" aria-hidden="true" />
+      <span className="nav-toggle-label">{t('theme.toggle')}</span>
+    </button>
+  )
+}
+
+export default ThemeToggle
@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react'
+import VideoPlayer from './VideoPlayer'
+import ConsentPlaceholder from './ConsentPlaceholder'
+import { useVideoPlayer, videoProviders, videoThumbnail } from '../lib/video'
+import { useHasConsent } from '../lib/consent'
+import { useTranslation } from '../lib/i18n'
+import { trackEvent, useWatchTime } from '../lib/analytics'
+
+function InlinePlayer({ video, title }) {
+  const player = useVideoPlayer(video)
+  const { elementRef } = player
+  useWatchTime(player.state.playing, title)
+
+  // The facade button that had focus is gone, so hand focus to the player
+  useEffect(() => {
+    elementRef.current?.focus()
+  }, [elementRef])
+
+  return <VideoPlayer video={video} title={title} playerRef={elementRef} error={player.state.error} />
+}
+
+// Click-to-load video: only the thumbnail is fetched until the visitor
+// presses play, then the provider's player replaces it in place. A provider
+// the visitor hasn't consented to shows a placeholder instead, whose
+// "Load content" goes straight to the player.
+function VideoEmbed({ video, title }) {
+  const [active, setActive] = useState(false)
+  const { consent, host } = videoProviders[video.provider]
+  const allowed = useHasConsent(consent)
+  const { t } = useTranslation()
+
+  if (active) return <InlinePlayer video={video} title={title} />
+
+  const play = () => {
+    trackEvent('video_play', { video: title, from: 'case-study' })
+    setActive(true)
+  }
+
+  if (!allowed) return <ConsentPlaceholder category={consent} host={host} onLoad={play} />
+
+  return (
+    <button type="button" className="video-facade" onClick={play} aria-label={t('video.play', { title })}>
+      <img src={videoThumbnail(video)} alt="" loading="lazy" decoding="async" />
+      <span className="video-play-icon" aria-hidden="true" />
+    </button>
+  )
+}
+
+export default VideoEmbed
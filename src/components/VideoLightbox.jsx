@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from 'react'
+import VideoPlayer from './VideoPlayer'
+import ConsentPlaceholder from './ConsentPlaceholder'
+import { useVideoPlayer, videoProviders } from '../lib/video'
+import { useHasConsent } from '../lib/consent'
+import { useTranslation } from '../lib/i18n'
+import { useWatchTime } from '../lib/analytics'
+
+const SEEK_STEP = 5
+
+function CloseButton({ onClose }) {
+  const { t } = useTranslation()
+
+  return (
+    <button type="button" className="video-lightbox-close" onClick={onClose} aria-label={t('video.close')} autoFocus>
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M18 6L6 18M6 6l12 12"/>
+      </svg>
+    </button>
+  )
+}
+
+// The player and its controls; mounted only once the film may load, since
+// the player hook connects to the provider as it mounts
+function LightboxPlayer({ video, title, onClose }) {
+  const player = useVideoPlayer(video)
+  const { elementRef } = player
+  const { t } = useTranslation()
+  useWatchTime(player.state.playing, title)
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen()
+    else elementRef.current?.requestFullscreen?.()
+  }
+
+  const handleKeyDown = (e) => {
+    // Let buttons keep their own Space and Enter behaviour
+    if (e.target.closest('button') && (e.key === ' ' || e.key === 'Enter')) return
+    const actions = {
+      ' ': player.toggle,
+      k: player.toggle,
+      m: player.toggleMute,
+      f: toggleFullscreen,
+      ArrowLeft: () => player.seekBy(-SEEK_STEP),
+      ArrowRight: () => player.seekBy(SEEK_STEP),
+    }
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key]
+    if (!action || e.metaKey || e.ctrlKey || e.altKey) return
+    e.preventDefault()
+    action()
+  }
+
+  const { playing, muted } = player.state
+
+  return (
+    <div className="video-lightbox-content" onKeyDown={handleKeyDown}>
+      <div className="video-lightbox-frame">
+        <VideoPlayer video={video} title={title} playerRef={elementRef} error={player.state.error} />
+      </div>
+      <div className="video-lightbox-bar">
+        <button type="button" className="video-lightbox-button" onClick={player.toggle}>
+          {playing ? t('video.pause') : t('video.resume')}
+        </button>
+        <button type="button" className="video-lightbox-button" onClick={player.toggleMute} aria-pressed={muted}>
+          {t('video.mute')}
+        </button>
+        <p className="video-lightbox-keys">
+          <kbd>{t('video.keys.space')}</kbd> {t('video.keys.playPause')} · <kbd>←</kbd> <kbd>→</kbd> {t('video.keys.seek')} · <kbd>M</kbd> {t('video.keys.mute')} · <kbd>F</kbd> {t('video.keys.fullscreen')} · <kbd>Esc</kbd> {t('video.keys.close')}
+        </p>
+        <CloseButton onClose={onClose} />
+      </div>
+    </div>
+  )
+}
+
+// Full-screen modal player. Keyboard: Space or K plays/pauses, the arrow keys
+// seek, M mutes, F toggles full screen and Escape closes. Focus returns to
+// whatever opened it. A provider the visitor hasn't consented to gets a
+// placeholder in the frame until they load it.
+function VideoLightbox({ video, title, onClose }) {
+  const dialogRef = useRef(null)
+  const { consent, host } = videoProviders[video.provider]
+  const allowed = useHasConsent(consent)
+  const [loaded, setLoaded] = useState(false)
+
+  useEffect(() => {
+    const dialog = dialogRef.current
+    const opener = document.activeElement
+    dialog.showModal()
+    return () => {
+      dialog.close()
+      opener?.focus?.()
+    }
+  }, [])
+
+  // Escape fires `cancel`; close through the parent so it unmounts us
+  const handleCancel = (e) => {
+    e.preventDefault()
+    onClose()
+  }
+
+  // Clicks on the backdrop land on the dialog element itself
+  const handleClick = (e) => {
+    if (e.target === e.currentTarget) onClose()
+  }
+
+  return (
+    <dialog
+      ref={dialogRef}
+      className="video-lightbox"
+      aria-label={title}
+      onCancel={handleCancel}
+      onClick={handleClick}
+    >
+      {allowed || loaded ? (
+        <LightboxPlayer video={video} title={title} onClose={onClose} />
+      ) : (
+        <>
+          <div className="video-lightbox-frame">
+            <ConsentPlaceholder category={consent} host={host} onLoad={() => setLoaded(true)} />
+          </div>
+          <div className="video-lightbox-bar">
+            <CloseButton onClose={onClose} />
+          </div>
+        </>
+      )}
+    </dialog>
+  )
+}
+
+export default VideoLightbox
@@ -0,0 +1,40 @@
+import { videoProviders, videoEmbedUrl, videoThumbnail } from '../lib/video'
+import { useTranslation } from '../lib/i18n'
+
+// The provider's player for `video`. `playerRef` is the `elementRef` from
+// useVideoPlayer(), and `error` its `state.error`, which swaps the player
+// for a message. Only rendered once the visitor has asked for playback.
+function VideoPlayer({ video, title, playerRef, error = false }) {
+  const { t } = useTranslation()
+
+  if (videoProviders[video.provider].native) {
+    // The <video> stays mounted, hidden, so the player hook keeps its element
+    return (
+      <>
+        <video
+          ref={playerRef}
+          className="video-player"
+          poster={videoThumbnail(video)}
+          aria-label={title}
+          hidden={error}
+          controls
+          playsInline
+        />
+        {error && <p className="video-error" role="alert">{t('video.error')}</p>}
+      </>
+    )
+  }
+
+  return (
+    <iframe
+      ref={playerRef}
+      className="video-player"
+      src={videoEmbedUrl(video)}
+      title={title}
+      allow="autoplay; encrypted-media; fullscreen; picture-in-picture"
+      allowFullScreen
+    />
+  )
+}
+
+export default VideoPlayer
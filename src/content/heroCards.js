@@ -0,0 +1,11 @@
+// Images fanned out in the hero carousel, in order. `src` is relative to
+// public/; an optional `alt` is read out when the card becomes the current
+// slide, otherwise the carousel announces a numbered still.
+export const heroCards = [
+  { src: 'assets/images/image1.png' },
+  { src: 'assets/images/image2.png' },
+  { src: 'assets/images/image3.png' },
+  { src: 'assets/images/image4.png' },
+  { src: 'assets/images/image5.png' },
+  { src: 'assets/images/image6.png' },
+]
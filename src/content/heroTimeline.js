@@ -0,0 +1,97 @@
+// Scroll choreography for the floating hero model. See lib/scrollTimeline.js
+// for the anchor and keyframe format. Positions are viewport units (x in vw,
+// y in vh) of the model's centre, rotations are degrees. `lighting` names a
+// preset from content/lighting.js; it switches at its keyframe and the
+// lights glide over to it. `showcase` keyframes show the prop's hotspots
+// (`hotspots` in content/models.json) until the next keyframe. Past the hero
+// the model drifts behind the sections, where they couldn't be clicked.
+
+// The model rides along with the page for the first 150px, then is released
+// into the timeline
+const STICKY_THRESHOLD = 150
+const releaseY = ({ viewportHeight }) => 56 - (STICKY_THRESHOLD / viewportHeight * 100)
+
+// Single-column layouts have no free column beside the text, so the model
+// waits in the top-right corner just under the nav (150px from the top),
+// too small and too close to the copy for hotspots
+const belowNav = ({ viewportHeight }) => 150 / viewportHeight * 100
+const returnSmoothing = { x: 0.1, y: 0.1, rotX: 0.08, rotY: 0.08, scale: 0.1 }
+
+const SINGLE_COLUMN = '(max-width: 768px), (orientation: portrait) and (max-width: 1024px)'
+// Answered by the site's motion preference (lib/motion.js), not just the OS
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)'
+
+// With reduced motion the model doesn't fly or spin: it stays where the hero
+// places it and scrolls away with the page like an image would
+const parked = (x, y, showcase) => ({
+  // Follow the scroll position exactly instead of easing after it
+  smoothing: {},
+  tracks: [
+    {
+      target: 'hero',
+      keyframes: [
+        { at: { px: 0 }, x, y, rotX: 0, rotY: 0, scale: 1, lighting: 'studio-softbox', showcase, ease: 'linear' },
+        {
+          at: 1,
+          x,
+          y: (geometry) => y(geometry) - geometry.maxScroll / geometry.viewportHeight * 100,
+          rotX: 0, rotY: 0, scale: 1, lighting: 'studio-softbox', showcase,
+        },
+      ],
+    },
+  ],
+})
+
+export const heroTimeline = {
+  // Fractional anchors run from the release point to the bottom of the page
+  range: { start: { px: STICKY_THRESHOLD }, end: 'end' },
+  ease: 'easeInOutQuad',
+  smoothing: { x: 0.06, y: 0.06, rotX: 0.05, rotY: 0.05, scale: 0.06 },
+  tracks: [
+    {
+      target: 'hero',
+      keyframes: [
+        {
+          at: { px: 0 },
+          x: 30, y: 56, rotX: 0, rotY: 0, scale: 1, lighting: 'studio-softbox', showcase: true,
+          // Scrolls 1:1 with the page, easing back in when returning from below
+          ease: 'linear',
+          smoothing: returnSmoothing,
+          settle: { x: 0.05, rotX: 0.1, rotY: 0.1 },
+        },
+        { at: 0, x: 30, y: releaseY, rotX: 0, rotY: 0, scale: 1, lighting: 'studio-softbox', showcase: false },
+        { at: 0.08, x: 85, y: 35, rotX: 45, rotY: 90, scale: 1, lighting: 'studio-softbox', showcase: false },
+        { at: 0.28, x: 15, y: 55, rotX: 90, rotY: 180, scale: 1, lighting: 'product-table', showcase: false },
+        { at: 0.48, x: 80, y: 65, rotX: 135, rotY: 270, scale: 1, lighting: 'product-table', showcase: false },
+        { at: 0.63, x: 50, y: 50, rotX: 180, rotY: 360, scale: 1, lighting: 'dramatic-rim', showcase: false },
+        { at: 0.78, x: 10, y: 85, rotX: 270, rotY: 540, scale: 1, lighting: 'studio-softbox', showcase: false },
+        { at: 1, x: 50, y: 92, rotX: 360, rotY: 720, scale: 0.3, lighting: 'studio-softbox', showcase: false },
+      ],
+    },
+  ],
+  layouts: [
+    { media: [REDUCED_MOTION, SINGLE_COLUMN], ...parked(84, belowNav, false) },
+    { media: REDUCED_MOTION, ...parked(30, () => 56, true) },
+    {
+      media: SINGLE_COLUMN,
+      tracks: [
+        {
+          target: 'hero',
+          keyframes: [
+            {
+              at: { px: 0 },
+              x: 84, y: belowNav, rotX: 0, rotY: 0, scale: 1, lighting: 'studio-softbox', showcase: false,
+              smoothing: returnSmoothing,
+              settle: { x: 0.05, rotX: 0.1, rotY: 0.1 },
+            },
+            { at: { section: '#work', edge: 'top' }, x: 84, y: belowNav, rotX: 45, rotY: 180, scale: 1, lighting: 'studio-softbox', showcase: false },
+            { at: { section: '#services', edge: 'enter' }, x: 84, y: belowNav, rotX: 90, rotY: 360, scale: 1, lighting: 'product-table', showcase: false },
+            { at: { section: '#process', edge: 'enter' }, x: 84, y: belowNav, rotX: 180, rotY: 540, scale: 1, lighting: 'dramatic-rim', showcase: false },
+            { at: { section: '#contact', edge: 'enter' }, x: 84, y: belowNav, rotX: 270, rotY: 630, scale: 0.8, lighting: 'studio-softbox', showcase: false },
+            { at: 1, x: 50, y: 92, rotX: 360, rotY: 720, scale: 0.6, lighting: 'studio-softbox', showcase: false },
+          ],
+        },
+      ],
+    },
+  ],
+}
@@ -0,0 +1,42 @@
+// Lighting presets for the 3D props. Each pairs a studio environment (an
+// HDR map generated by scripts/environments.js, which lights reflections and
+// metals) with up to three directional lights, and says whether the prop
+// casts a contact shadow and stands on a ground plane. Light positions are
+// in the canvas' view space: +z towards the camera, +y up. The active
+// theme scales the intensities (see `scene` in src/theme.js).
+
+export const DEFAULT_LIGHTING = 'studio-softbox'
+
+export const lightingPresets = {
+  'studio-softbox': {
+    environment: 'studio-softbox',
+    environmentIntensity: 1,
+    lights: [
+      { position: [3, 4, 5], intensity: 1, color: '#ffffff' },
+      { position: [-4, 1, 3], intensity: 0.35, color: '#ffffff' },
+    ],
+    shadows: { opacity: 0.45, blur: 2.5 },
+    ground: false,
+  },
+  'product-table': {
+    environment: 'product-table',
+    environmentIntensity: 0.8,
+    lights: [
+      { position: [0, 6, 2], intensity: 1.2, color: '#ffffff' },
+      { position: [0, -2, 4], intensity: 0.3, color: '#ffe8cc' },
+    ],
+    shadows: { opacity: 0.6, blur: 1.5 },
+    ground: true,
+  },
+  'dramatic-rim': {
+    environment: 'dramatic-rim',
+    environmentIntensity: 1,
+    lights: [
+      { position: [-4, 2, -4], intensity: 2.5, color: '#cfe0ff' },
+      { position: [4, 2, -4], intensity: 2, color: '#cfe0ff' },
+      { position: [1, -1, 4], intensity: 0.15, color: '#ffcc99' },
+    ],
+    shadows: null,
+    ground: false,
+  },
+}
@@ -0,0 +1,7 @@
+// Client logos content files can refer to by name, e.g. "logo": "nike".
+// Each is an SVG or PNG in public/assets/logos/ with its intrinsic size, so
+// the marquee can lay logos out before the images load. To add one, drop
+// the file in that folder and give it a kebab-case name here.
+export const logos = {
+  nike: { src: 'assets/logos/nike.png', width: 1682, height: 605 },
+}
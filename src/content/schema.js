@@ -0,0 +1,417 @@
+// Content schemas and a tiny validator shared by the app and the build.
+// Kept free of browser and Node APIs so both sides can import it.
+
+import services from './services.json'
+import projects from './projects.json'
+import { icons } from './icons.js'
+import { logos } from './logos.js'
+import { LOCALES } from '../locales.js'
+
+const string = { type: 'string', required: true }
+const optionalString = { type: 'string' }
+const slug = { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ }
+// Copy written out in every published language: { "en": "...", "cs": "..." }
+const localizedString = { type: 'object', required: true, fields: Object.fromEntries(LOCALES.map((locale) => [locale, string])) }
+
+export const VIDEO_PROVIDERS = ['youtube', 'vimeo', 'file']
+
+// A project film. YouTube and Vimeo take the provider's video `id`;
+// self-hosted files list their `sources` in order of preference (an HLS
+// playlist first, then an MP4 fallback). Anything without a YouTube
+// thumbnail needs a `poster` for the click-to-play facade.
+export const videoSchema = {
+  type: 'object',
+  fields: {
+    provider: { type: 'string', required: true, enum: VIDEO_PROVIDERS },
+    id: optionalString,
+    thumbQuality: { type: 'string', enum: ['maxresdefault', 'sddefault', 'hqdefault'] },
+    poster: optionalString,
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          src: string,
+          type: { type: 'string', required: true, enum: ['application/vnd.apple.mpegurl', 'video/mp4', 'video/webm'] },
+        },
+      },
+    },
+  },
+  check(video, path) {
+    const errors = []
+    if (video.provider === 'file') {
+      if (!video.sources?.length) errors.push({ path: `${path}.sources`, message: 'is required for file videos' })
+      if (video.id) errors.push({ path: `${path}.id`, message: 'only applies to youtube/vimeo videos' })
+    } else {
+      if (!video.id) errors.push({ path: `${path}.id`, message: `is required for ${video.provider} videos` })
+      if (video.sources) errors.push({ path: `${path}.sources`, message: 'only applies to file videos' })
+    }
+    if (video.provider !== 'youtube') {
+      if (!video.poster) errors.push({ path: `${path}.poster`, message: `is required for ${video.provider} videos` })
+      if (video.thumbQuality) errors.push({ path: `${path}.thumbQuality`, message: 'only applies to youtube videos' })
+    }
+    return errors
+  },
+}
+
+// A portfolio project. `category` is a catalog key (see contentCopy below);
+// descriptive copy is localized, names and titles are not.
+export const projectSchema = {
+  type: 'object',
+  fields: {
+    slug: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+    title: string,
+    client: optionalString,
+    category: slug,
+    year: { type: 'integer', required: true, min: 1990, max: 2100 },
+    video: videoSchema,
+    description: { ...localizedString, required: false },
+    deliverables: { type: 'array', minItems: 1, items: localizedString },
+    credits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: { role: localizedString, name: string },
+      },
+    },
+    stills: { type: 'array', required: true, items: string },
+  },
+}
+
+export const projectsSchema = {
+  type: 'array',
+  minItems: 1,
+  unique: 'slug',
+  items: projectSchema,
+}
+
+const texture = optionalString
+const unit = { type: 'number', min: 0, max: 1 }
+const vector3 = { type: 'array', minItems: 3, maxItems: 3, items: { type: 'number', required: true } }
+const hexColor = { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ }
+
+// A labelled point pinned to a prop, in the prepared model's space: centred
+// on the origin with its largest side `normalize.size` long. Its copy lives
+// in the catalogs under hotspots.items.<model>.<hotspot>; `service` is the
+// entry in services.json it links to.
+export const hotspotSchema = {
+  type: 'object',
+  fields: {
+    id: slug,
+    position: { ...vector3, required: true },
+    service: { type: 'string', required: true, enum: services.map((service) => service.id) },
+    buildDays: { type: 'number', min: 0 },
+  },
+}
+
+export const modelSchema = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+    name: string,
+    format: { type: 'string', required: true, enum: ['obj', 'gltf', 'glb'] },
+    src: string,
+    mtl: optionalString,
+    draco: { type: 'boolean' },
+    still: optionalString,
+    units: { type: 'string', enum: ['m', 'cm', 'mm', 'in'] },
+    textures: {
+      type: 'object',
+      fields: {
+        map: texture,
+        normalMap: texture,
+        roughnessMap: texture,
+        metalnessMap: texture,
+        aoMap: texture,
+        emissiveMap: texture,
+      },
+    },
+    material: {
+      type: 'object',
+      fields: {
+        replace: { type: 'boolean' },
+        color: hexColor,
+        emissive: hexColor,
+        roughness: unit,
+        metalness: unit,
+        envMapIntensity: { type: 'number', min: 0 },
+      },
+    },
+    normalize: {
+      type: 'object',
+      fields: {
+        center: { type: 'boolean' },
+        size: { type: 'number', min: 0 },
+        rotation: vector3,
+        offset: vector3,
+      },
+    },
+    hotspots: { type: 'array', unique: 'id', items: hotspotSchema },
+  },
+  check(model, path) {
+    const errors = []
+    if (model.mtl && model.format !== 'obj') {
+      errors.push({ path: `${path}.mtl`, message: 'only applies to obj models' })
+    }
+    if (model.draco && model.format === 'obj') {
+      errors.push({ path: `${path}.draco`, message: 'only applies to gltf/glb models' })
+    }
+    return errors
+  },
+}
+
+export const modelsSchema = {
+  type: 'object',
+  fields: {
+    hero: string,
+    models: { type: 'array', required: true, minItems: 1, unique: 'id', items: modelSchema },
+  },
+  check(manifest) {
+    const ids = (manifest.models || []).map((model) => model.id)
+    return ids.includes(manifest.hero)
+      ? []
+      : [{ path: 'hero', message: `refers to unknown model "${manifest.hero}"` }]
+  },
+}
+
+// Home page sections. Their copy lives in the message catalogs under keys
+// built from each entry's `id` (see contentCopy below), so these files only
+// hold what is the same in every language.
+export const servicesSchema = {
+  type: 'array',
+  minItems: 1,
+  unique: 'id',
+  items: {
+    type: 'object',
+    fields: {
+      id: slug,
+      icon: { type: 'string', required: true, enum: Object.keys(icons) },
+    },
+  },
+}
+
+export const processSchema = {
+  type: 'array',
+  minItems: 1,
+  unique: 'id',
+  items: { type: 'object', fields: { id: slug } },
+}
+
+// Figures the stats bar can count from the content itself instead of a
+// typed `value`: the portfolio's projects, and the distinct brands across
+// the portfolio and the client list. Only worth it once those lists are
+// complete; "Selected work" is a showcase, not every project.
+export const STAT_SOURCES = ['projects', 'brands']
+
+export const statsSchema = {
+  type: 'array',
+  unique: 'id',
+  items: {
+    type: 'object',
+    fields: {
+      id: slug,
+      value: { type: 'number', min: 0 },
+      source: { type: 'string', enum: STAT_SOURCES },
+      prefix: optionalString,
+      suffix: optionalString,
+    },
+    check(stat, path) {
+      if ((stat.value === undefined) === (stat.source === undefined)) {
+        return [{ path: `${path}.value`, message: 'needs exactly one of value or source' }]
+      }
+      return []
+    },
+  },
+}
+
+// `logo` names an entry in src/content/logos.js; without one the name is set
+// in type. `project` is the slug of the client's case study, if there is one.
+export const clientsSchema = {
+  type: 'array',
+  minItems: 1,
+  unique: 'name',
+  items: {
+    type: 'object',
+    fields: {
+      name: string,
+      logo: { type: 'string', enum: Object.keys(logos) },
+      project: { type: 'string', enum: projects.map((project) => project.slug) },
+    },
+  },
+}
+
+const isoDate = { type: 'string', pattern: /^(\d{4}-\d{2}-\d{2})?$/ }
+
+export const BUDGET_RANGES = ['under-10k', '10k-25k', '25k-50k', '50k-100k', 'over-100k']
+export const DELIVERABLE_FORMATS = ['16:9', '9:16', '1:1', '4:5', 'stills', 'cutdowns']
+
+// Project brief sent from the contact wizard (version 1)
+export const briefSchema = {
+  type: 'object',
+  fields: {
+    type: { type: 'string', required: true, enum: ['vprops.brief'] },
+    version: { type: 'integer', required: true, enum: [1] },
+    contact: {
+      type: 'object',
+      required: true,
+      fields: {
+        name: string,
+        email: { type: 'string', required: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+        company: optionalString,
+      },
+    },
+    services: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: { type: 'string', enum: services.map((service) => service.id) },
+    },
+    budget: { type: 'string', required: true, enum: BUDGET_RANGES },
+    shoot: {
+      type: 'object',
+      required: true,
+      fields: {
+        start: isoDate,
+        end: isoDate,
+        flexible: { type: 'boolean', required: true },
+        location: optionalString,
+      },
+    },
+    deliverables: { type: 'array', required: true, minItems: 1, items: { type: 'string', enum: DELIVERABLE_FORMATS } },
+    references: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        fields: {
+          name: string,
+          size: { type: 'integer', required: true, min: 0 },
+          type: optionalString,
+        },
+      },
+    },
+    message: optionalString,
+    page: optionalString,
+    submittedAt: optionalString,
+  },
+}
+
+// Schemas keyed by file name inside src/content/
+export const contentSchemas = {
+  'projects.json': projectsSchema,
+  'models.json': modelsSchema,
+  'services.json': servicesSchema,
+  'process.json': processSchema,
+  'stats.json': statsSchema,
+  'clients.json': clientsSchema,
+}
+
+// Catalog keys each entry of a list needs, as [{ path, keys }]
+const entryCopy = (entries, path, keys, field = 'id') =>
+  entries.map((entry, i) => ({ path: `${path}[${i}].${field}`, keys: keys(entry) }))
+
+// Catalog keys a content file's entries need, keyed by file name
+export const contentCopy = {
+  'services.json': (services) =>
+    entryCopy(services, '', ({ id }) => [`services.items.${id}.title`, `services.items.${id}.desc`]),
+  'process.json': (steps) =>
+    entryCopy(steps, '', ({ id }) => [`process.steps.${id}.title`, `process.steps.${id}.desc`]),
+  'stats.json': (stats) => entryCopy(stats, '', ({ id }) => [`stats.${id}`]),
+  'projects.json': (projects) =>
+    entryCopy(projects, '', ({ category }) => [`projects.categories.${category}`], 'category'),
+  'models.json': ({ models }) => models.flatMap((model, i) =>
+    entryCopy(model.hotspots ?? [], `models[${i}].hotspots`, ({ id }) =>
+      ['label', 'material', 'technique'].map((field) => `hotspots.items.${model.id}.${id}.${field}`))),
+}
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value)
+  return typeOf(value) === type
+}
+
+// Returns a list of { path, message } describing every problem found
+export function validate(value, schema, path = '') {
+  const errors = []
+  const at = path || '(root)'
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `expected ${schema.type}, got ${typeOf(value)}` })
+    return errors
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` })
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path: at, message: `does not match ${schema.pattern}` })
+  }
+  if (schema.type === 'string' && schema.required && value.trim() === '') {
+    errors.push({ path: at, message: 'must not be empty' })
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push({ path: at, message: `must be at least ${schema.min}` })
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push({ path: at, message: `must be at most ${schema.max}` })
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: at, message: `needs at least ${schema.minItems} item(s)` })
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `allows at most ${schema.maxItems} item(s)` })
+    }
+    value.forEach((item, i) => {
+      errors.push(...validate(item, schema.items, `${path}[${i}]`))
+    })
+    if (schema.unique) {
+      const seen = new Set()
+      value.forEach((item, i) => {
+        const key = item?.[schema.unique]
+        if (key === undefined) return
+        if (seen.has(key)) {
+          errors.push({ path: `${path}[${i}].${schema.unique}`, message: `duplicate value "${key}"` })
+        }
+        seen.add(key)
+      })
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+      const fieldPath = path ? `${path}.${key}` : key
+      if (value[key] === undefined) {
+        if (fieldSchema.required) errors.push({ path: fieldPath, message: 'is required' })
+        continue
+      }
+      errors.push(...validate(value[key], fieldSchema, fieldPath))
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in schema.fields)) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is not a known field' })
+      }
+    }
+  }
+
+  // Cross-field rules that don't fit the declarative shape
+  if (schema.check) {
+    errors.push(...schema.check(value, at))
+  }
+
+  return errors
+}
+
+// Errors may carry the `line` of the field in the file, where known
+export function formatErrors(file, errors) {
+  return [
+    `Invalid content in ${file}:`,
+    ...errors.map(({ path, message, line }) => `  - ${path} ${message}${line ? ` (line ${line})` : ''}`),
+  ].join('\n')
+}
@@ -0,0 +1,151 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react'
+import { createSink } from './analyticsSinks'
+import { hasConsent, subscribeConsent } from './consent'
+import { onTelemetry } from './telemetry'
+
+// Engagement analytics that stay out of the visitor's way. Nothing is
+// recorded unless a sink is configured (see .env.example), the browser
+// sends neither Do Not Track nor Global Privacy Control, and the visitor
+// accepted the consent banner. Events carry no cookies or visitor IDs, and
+// only the path of the page, never its query string or hash. They are sent
+// in batches: when one fills up, a few seconds after the first event, and
+// when the page is hidden.
+
+const sink = createSink({
+  sink: import.meta.env.VITE_ANALYTICS_SINK,
+  endpoint: import.meta.env.VITE_ANALYTICS_ENDPOINT,
+  site: import.meta.env.VITE_ANALYTICS_SITE,
+})
+
+const BATCH_SIZE = 20
+const FLUSH_DELAY_MS = 10000
+
+export const doNotTrack = () =>
+  navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true
+
+// Whether there is anything to ask the visitor about
+export const analyticsAvailable = () => Boolean(sink) && !doNotTrack()
+
+export const analyticsEnabled = () => analyticsAvailable() && hasConsent('analytics')
+
+export function useAnalyticsEnabled() {
+  return useSyncExternalStore(subscribeConsent, analyticsEnabled)
+}
+
+let queue = []
+let flushTimer = null
+
+export function flushAnalytics() {
+  clearTimeout(flushTimer)
+  flushTimer = null
+  if (!queue.length) return
+  const batch = queue
+  queue = []
+  sink(batch)
+}
+
+export function trackEvent(name, props = {}) {
+  if (!analyticsEnabled()) return
+  queue.push({ name, props, path: window.location.pathname, time: Date.now() })
+  if (queue.length >= BATCH_SIZE) flushAnalytics()
+  else flushTimer ??= setTimeout(flushAnalytics, FLUSH_DELAY_MS)
+}
+
+const leaveListeners = new Set()
+
+// Called as the visitor leaves the site, just before the last batch goes
+// out, so whatever is still under way (a half-filled form, a playing film)
+// can be reported
+export function onPageLeave(listener) {
+  leaveListeners.add(listener)
+  return () => leaveListeners.delete(listener)
+}
+
+export function startAnalytics() {
+  if (!analyticsAvailable()) return
+  // Mobile browsers may never fire pagehide, so hiding the tab also flushes
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushAnalytics()
+  })
+  window.addEventListener('pagehide', () => {
+    leaveListeners.forEach((listener) => listener())
+    flushAnalytics()
+  })
+  // Rendering diagnostics from lib/telemetry.js go out as events too, e.g.
+  // render-mode as `render_mode { mode, reason }`. The render mode is picked
+  // before anyone could consent, so the listener attaches once analytics
+  // are enabled and telemetry replays what happened on this page until then.
+  let stopTelemetry = null
+  const applyConsent = () => {
+    if (analyticsEnabled()) {
+      stopTelemetry ??= onTelemetry((event) => {
+        const { name, time: _time, ...data } = event
+        trackEvent(name.replaceAll('-', '_'), data)
+      })
+      return
+    }
+    stopTelemetry?.()
+    stopTelemetry = null
+    // Withdrawing consent also drops whatever hasn't been sent yet
+    clearTimeout(flushTimer)
+    flushTimer = null
+    queue = []
+  }
+  applyConsent()
+  subscribeConsent(applyConsent)
+}
+
+const TRACKED_SECTIONS = ['work', 'services', 'process', 'contact']
+
+// A `section_view` the first time each tracked section reaches the middle
+// of the viewport, once per page
+export function useSectionViews(path) {
+  const enabled = useAnalyticsEnabled()
+
+  useEffect(() => {
+    if (!enabled) return
+    const observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue
+        observer.unobserve(entry.target)
+        trackEvent('section_view', { section: entry.target.id })
+      }
+    }, { rootMargin: '0px 0px -50% 0px' })
+    for (const id of TRACKED_SECTIONS) {
+      const section = document.getElementById(id)
+      if (section) observer.observe(section)
+    }
+    return () => observer.disconnect()
+  }, [path, enabled])
+}
+
+// Reports how long a film actually played, in whole seconds, as a
+// `video_watch` when its player closes or the visitor leaves the page
+export function useWatchTime(playing, video) {
+  const watchedRef = useRef(0)
+  const playingSinceRef = useRef(null)
+
+  useEffect(() => {
+    if (!playing) return
+    playingSinceRef.current = Date.now()
+    return () => {
+      watchedRef.current += Date.now() - playingSinceRef.current
+      playingSinceRef.current = null
+    }
+  }, [playing])
+
+  useEffect(() => {
+    const report = () => {
+      const since = playingSinceRef.current
+      const watched = watchedRef.current + (since === null ? 0 : Date.now() - since)
+      watchedRef.current = 0
+      if (since !== null) playingSinceRef.current = Date.now()
+      if (watched >= 1000) trackEvent('video_watch', { video, seconds: Math.round(watched / 1000) })
+    }
+    const unsubscribe = onPageLeave(report)
+    return () => {
+      unsubscribe()
+      report()
+    }
+  }, [video])
+}
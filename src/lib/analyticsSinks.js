@@ -0,0 +1,48 @@
+// Destinations for analytics batches. Each sink is a function that receives
+// an array of events ({ name, props, path, time }) and hands them over
+// without waiting for a response, so it also works while the page unloads.
+
+// sendBeacon survives the page going away; when it refuses (no support, or
+// the browser's queue is full) a keepalive fetch does the same job
+const beacon = (url, body, type) => {
+  if (navigator.sendBeacon?.(url, new Blob([body], { type }))) return
+  fetch(url, { method: 'POST', body, headers: { 'Content-Type': type }, keepalive: true }).catch(() => {})
+}
+
+// Logs batches to the browser console, for trying things out locally
+export const consoleSink = () => (events) => {
+  console.info('[analytics]', events)
+}
+
+// JSON POST of the whole batch as { events } to our own endpoint
+export const httpSink = (endpoint) => (events) => {
+  beacon(endpoint, JSON.stringify({ events }), 'application/json')
+}
+
+// Self-hosted Plausible (Community Edition), which takes one event per
+// request. Sent as text/plain, like Plausible's own script, so a
+// cross-origin beacon needs no preflight.
+export const plausibleSink = (endpoint, domain) => (events) => {
+  for (const { name, props, path } of events) {
+    const body = { name, domain, url: window.location.origin + path, props }
+    beacon(endpoint, JSON.stringify(body), 'text/plain')
+  }
+}
+
+// Null when nothing is configured: analytics stays off and nobody is asked
+export function createSink({ sink, endpoint, site }) {
+  const type = sink || (endpoint ? 'http' : null)
+
+  switch (type) {
+    case null:
+      return null
+    case 'console':
+      return consoleSink()
+    case 'http':
+      return httpSink(endpoint)
+    case 'plausible':
+      return plausibleSink(endpoint, site || window.location.hostname)
+    default:
+      throw new Error(`Unknown analytics sink "${type}"`)
+  }
+}
@@ -0,0 +1,191 @@
+import services from '../content/services.json'
+import { briefSchema, validate, BUDGET_RANGES, DELIVERABLE_FORMATS } from '../content/schema'
+import { translator } from './i18n'
+
+const DRAFT_KEY = 'vprops:brief-draft'
+
+export const MAX_REFERENCE_FILES = 5
+export const MAX_REFERENCE_BYTES = 10 * 1024 * 1024
+
+// Option and step labels are catalog keys, so the wizard can show them in
+// the visitor's language while exports stay in English
+export const budgetOptions = BUDGET_RANGES.map((value) => ({ value, labelKey: `brief.budgets.${value}` }))
+export const formatOptions = DELIVERABLE_FORMATS.map((value) => ({ value, labelKey: `brief.formatOptions.${value}` }))
+export const serviceOptions = services.map((service) => ({ value: service.id, labelKey: `services.items.${service.id}.title` }))
+
+const SERVICE_IDS = serviceOptions.map((option) => option.value)
+
+export const steps = ['contact', 'project', 'shoot', 'deliverables', 'review'].map((id) => ({ id, labelKey: `brief.steps.${id}` }))
+
+export const emptyBrief = {
+  name: '',
+  email: '',
+  company: '',
+  services: [],
+  budget: '',
+  shootStart: '',
+  shootEnd: '',
+  flexibleDates: false,
+  location: '',
+  formats: [],
+  message: '',
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Field errors for one wizard step, keyed by field name
+export function validateStep(stepId, data, files = [], t = translator('en')) {
+  const errors = {}
+
+  if (stepId === 'contact') {
+    if (!data.name.trim()) {
+      errors.name = t('brief.errors.name')
+    }
+    if (!data.email.trim()) {
+      errors.email = t('brief.errors.emailMissing')
+    } else if (!EMAIL_PATTERN.test(data.email.trim())) {
+      errors.email = t('brief.errors.emailInvalid')
+    }
+  }
+
+  if (stepId === 'project') {
+    // Checked against the same lists as briefSchema, so a draft saved before
+    // an option was removed is sent back here rather than failing on review
+    if (!data.services.length || data.services.some((id) => !SERVICE_IDS.includes(id))) {
+      errors.services = t('brief.errors.services')
+    }
+    if (!BUDGET_RANGES.includes(data.budget)) {
+      errors.budget = t('brief.errors.budget')
+    }
+  }
+
+  if (stepId === 'shoot' && !data.flexibleDates) {
+    if (!data.shootStart) {
+      errors.shootStart = t('brief.errors.shootStart')
+    }
+    if (data.shootStart && data.shootEnd && data.shootEnd < data.shootStart) {
+      errors.shootEnd = t('brief.errors.shootEnd')
+    }
+  }
+
+  if (stepId === 'deliverables') {
+    if (!data.formats.length || data.formats.some((id) => !DELIVERABLE_FORMATS.includes(id))) {
+      errors.formats = t('brief.errors.formats')
+    }
+    if (files.length > MAX_REFERENCE_FILES) {
+      errors.references = t('brief.errors.tooManyFiles', { max: MAX_REFERENCE_FILES })
+    } else if (files.some((file) => file.size > MAX_REFERENCE_BYTES)) {
+      errors.references = t('brief.errors.fileTooLarge')
+    }
+  }
+
+  return errors
+}
+
+// Index of the first step with errors, or the review step when all pass
+export function firstInvalidStep(data, files = []) {
+  const index = steps.findIndex((step) => Object.keys(validateStep(step.id, data, files)).length)
+  return index === -1 ? steps.length - 1 : index
+}
+
+// Wizard state as a versioned brief payload, unchecked; fine for showing
+// the visitor what they entered
+export function briefPayload(data, files = []) {
+  return {
+    type: 'vprops.brief',
+    version: 1,
+    contact: {
+      name: data.name.trim(),
+      email: data.email.trim(),
+      company: data.company.trim(),
+    },
+    services: data.services,
+    budget: data.budget,
+    shoot: {
+      start: data.flexibleDates ? '' : data.shootStart,
+      end: data.flexibleDates ? '' : (data.shootEnd || data.shootStart),
+      flexible: data.flexibleDates,
+      location: data.location.trim(),
+    },
+    deliverables: data.formats,
+    references: files.map((file) => ({ name: file.name, size: file.size, type: file.type })),
+    message: data.message.trim(),
+  }
+}
+
+// The brief payload sent to the studio; throws if it fails briefSchema
+export function buildBrief(data, files = []) {
+  const brief = briefPayload(data, files)
+  const problems = validate(brief, briefSchema)
+  if (problems.length) {
+    throw new Error(`Invalid brief: ${problems.map(({ path, message }) => `${path} ${message}`).join('; ')}`)
+  }
+  return brief
+}
+
+export const optionLabel = (options, value, t = translator('en')) => {
+  const option = options.find((candidate) => candidate.value === value)
+  return option ? t(option.labelKey) : value
+}
+
+// Human-readable [label, value] rows used by the review step and exports
+export function summarizeBrief(brief, t = translator('en')) {
+  const { shoot } = brief
+  const dates = shoot.flexible
+    ? t('brief.summary.flexible')
+    : shoot.end && shoot.end !== shoot.start ? t('brief.summary.dateRange', { start: shoot.start, end: shoot.end }) : shoot.start
+
+  return [
+    [t('brief.summary.name'), brief.contact.name],
+    [t('brief.summary.email'), brief.contact.email],
+    [t('brief.summary.company'), brief.contact.company],
+    [t('brief.summary.services'), brief.services.map((id) => optionLabel(serviceOptions, id, t)).join(', ')],
+    [t('brief.summary.budget'), optionLabel(budgetOptions, brief.budget, t)],
+    [t('brief.summary.dates'), dates],
+    [t('brief.summary.location'), shoot.location],
+    [t('brief.summary.deliverables'), brief.deliverables.map((id) => optionLabel(formatOptions, id, t)).join(', ')],
+    [t('brief.summary.references'), brief.references.map((file) => file.name).join(', ')],
+    [t('brief.summary.notes'), brief.message],
+  ].filter(([, value]) => value)
+}
+
+// Keeps only saved fields of the expected type, and only options that still
+// exist: services and budgets come and go between visits
+function restoreDraftData(saved) {
+  const data = { ...emptyBrief }
+  for (const [name, empty] of Object.entries(emptyBrief)) {
+    const value = saved?.[name]
+    if (Array.isArray(empty) ? Array.isArray(value) : typeof value === typeof empty) data[name] = value
+  }
+  data.services = data.services.filter((id) => SERVICE_IDS.includes(id))
+  data.formats = data.formats.filter((id) => DELIVERABLE_FORMATS.includes(id))
+  if (!BUDGET_RANGES.includes(data.budget)) data.budget = ''
+  return data
+}
+
+export function loadDraft() {
+  try {
+    const draft = JSON.parse(window.localStorage.getItem(DRAFT_KEY))
+    if (!draft) return null
+    const step = Number.isInteger(draft.step) ? Math.min(Math.max(draft.step, 0), steps.length - 1) : 0
+    return { data: restoreDraftData(draft.data), step }
+  } catch {
+    return null
+  }
+}
+
+export function saveDraft(data, step) {
+  try {
+    window.localStorage.setItem(DRAFT_KEY, JSON.stringify({ data, step }))
+  } catch {
+    // Storage unavailable; the wizard still works for this visit
+  }
+}
+
+export function clearDraft() {
+  try {
+    window.localStorage.removeItem(DRAFT_KEY)
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,140 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  MAX_REFERENCE_BYTES,
+  briefPayload,
+  buildBrief,
+  emptyBrief,
+  firstInvalidStep,
+  loadDraft,
+  saveDraft,
+  steps,
+  summarizeBrief,
+  validateStep,
+} from './brief'
+import { briefSchema, validate } from '../content/schema'
+
+const complete = {
+  ...emptyBrief,
+  name: ' Ada Novak ',
+  email: 'ada@example.com',
+  company: 'Novak Films',
+  services: ['set-design-props', 'commercial-production'],
+  budget: '25k-50k',
+  shootStart: '2026-11-02',
+  shootEnd: '2026-11-04',
+  location: 'Prague',
+  formats: ['16:9', 'stills'],
+  message: 'A launch film for a new camera.',
+}
+
+const file = (name, size = 1024) => ({ name, size, type: 'image/png' })
+const errorFields = (stepId, data, files) => Object.keys(validateStep(stepId, data, files))
+
+describe('validateStep', () => {
+  it('passes a complete brief on every step', () => {
+    for (const step of steps) expect(validateStep(step.id, complete)).toEqual({})
+  })
+
+  it('needs a name and a valid email', () => {
+    expect(validateStep('contact', { ...complete, name: '  ', email: 'ada@' })).toEqual({
+      name: 'Please tell us your name.',
+      email: expect.any(String),
+    })
+    expect(errorFields('contact', { ...complete, email: '' })).toEqual(['email'])
+  })
+
+  it('rejects services and budgets that are not offered', () => {
+    expect(errorFields('project', { ...complete, services: [] })).toEqual(['services'])
+    expect(errorFields('project', { ...complete, services: ['set-design-props', 'catering'] })).toEqual(['services'])
+    expect(errorFields('project', { ...complete, budget: 'priceless' })).toEqual(['budget'])
+  })
+
+  it('needs a start date unless the dates are flexible, and an end after it', () => {
+    expect(errorFields('shoot', { ...complete, shootStart: '' })).toEqual(['shootStart'])
+    expect(errorFields('shoot', { ...complete, shootEnd: '2026-11-01' })).toEqual(['shootEnd'])
+    expect(errorFields('shoot', { ...complete, shootStart: '', flexibleDates: true })).toEqual([])
+  })
+
+  it('checks formats and reference files', () => {
+    expect(errorFields('deliverables', { ...complete, formats: ['8k'] })).toEqual(['formats'])
+    expect(errorFields('deliverables', complete, Array.from({ length: 6 }, (_, i) => file(`ref-${i}.png`)))).toEqual(['references'])
+    expect(errorFields('deliverables', complete, [file('huge.png', MAX_REFERENCE_BYTES + 1)])).toEqual(['references'])
+  })
+})
+
+describe('firstInvalidStep', () => {
+  it('points at the earliest step with errors', () => {
+    expect(firstInvalidStep({ ...complete, budget: '', formats: [] })).toBe(1)
+    expect(firstInvalidStep({ ...complete, formats: [] })).toBe(3)
+  })
+
+  it('lands on the review step when everything passes', () => {
+    expect(firstInvalidStep(complete)).toBe(steps.length - 1)
+  })
+})
+
+describe('briefPayload', () => {
+  it('builds a brief that matches briefSchema', () => {
+    const brief = briefPayload(complete, [file('moodboard.png')])
+    expect(validate(brief, briefSchema)).toEqual([])
+    expect(brief).toMatchObject({
+      contact: { name: 'Ada Novak', email: 'ada@example.com', company: 'Novak Films' },
+      shoot: { start: '2026-11-02', end: '2026-11-04', flexible: false, location: 'Prague' },
+      references: [{ name: 'moodboard.png', size: 1024, type: 'image/png' }],
+    })
+  })
+
+  it('drops the dates of a flexible shoot and ends a one-day shoot on its start', () => {
+    expect(briefPayload({ ...complete, flexibleDates: true }).shoot).toMatchObject({ start: '', end: '', flexible: true })
+    expect(briefPayload({ ...complete, shootEnd: '' }).shoot).toMatchObject({ start: '2026-11-02', end: '2026-11-02' })
+  })
+
+  it('is only checked when the brief is built for sending', () => {
+    const stale = { ...complete, budget: 'priceless' }
+    expect(() => briefPayload(stale)).not.toThrow()
+    expect(() => buildBrief(stale)).toThrow('Invalid brief: budget')
+  })
+})
+
+describe('summarizeBrief', () => {
+  it('lists labelled rows and leaves out empty ones', () => {
+    const rows = summarizeBrief(briefPayload({ ...complete, company: '', message: '' }))
+    expect(rows).toContainEqual(['Shoot dates', '2026-11-02 to 2026-11-04'])
+    expect(rows.map(([label]) => label)).not.toContain('Company')
+  })
+})
+
+describe('drafts', () => {
+  const store = (draft) => localStorage.setItem('vprops:brief-draft', typeof draft === 'string' ? draft : JSON.stringify(draft))
+
+  beforeEach(() => localStorage.clear())
+
+  it('restores what was saved', () => {
+    saveDraft(complete, 2)
+    expect(loadDraft()).toEqual({ data: complete, step: 2 })
+  })
+
+  it('has nothing to restore without a draft or with a corrupt one', () => {
+    expect(loadDraft()).toBeNull()
+    store('{"data":')
+    expect(loadDraft()).toBeNull()
+  })
+
+  it('drops options that no longer exist and fields of the wrong type', () => {
+    store({
+      data: { ...complete, services: ['set-design-props', 'retired-service'], budget: 'old-range', formats: ['16:9', 'vhs'], flexibleDates: 'yes', name: 42, extra: true },
+      step: 4,
+    })
+    const { data } = loadDraft()
+    expect(data).toEqual({ ...complete, name: '', services: ['set-design-props'], budget: '', formats: ['16:9'] })
+    expect(firstInvalidStep(data)).toBe(0)
+  })
+
+  it('keeps the saved step within the wizard', () => {
+    store({ data: complete, step: 99 })
+    expect(loadDraft().step).toBe(steps.length - 1)
+    store({ data: complete, step: 'review' })
+    expect(loadDraft().step).toBe(0)
+  })
+})
@@ -0,0 +1,81 @@
+import { createTextPdf } from './pdf'
+import { summarizeBrief, serviceOptions, optionLabel } from './brief'
+import { CONTACT_EMAIL } from './contact'
+
+export function briefPdf(brief) {
+  const blocks = [
+    { text: 'VPROPS', size: 10, bold: true, gap: 2 },
+    { text: 'Project brief', size: 22, bold: true, gap: 16 },
+  ]
+  for (const [label, value] of summarizeBrief(brief)) {
+    blocks.push({ text: label.toUpperCase(), size: 8, bold: true, gap: 0 })
+    blocks.push({ text: value, size: 11, gap: 10 })
+  }
+  blocks.push({ text: `Prepared ${new Date().toISOString().slice(0, 10)} · ${CONTACT_EMAIL}`, size: 8, gap: 0 })
+  return createTextPdf(blocks)
+}
+
+// RFC 5545 text escaping and 75-octet line folding
+const escapeIcs = (text) => text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n')
+
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line)
+  if (bytes.length <= 75) return line
+
+  const parts = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+const icsDate = (iso) => iso.replace(/-/g, '')
+
+const dayAfter = (iso) => {
+  const date = new Date(`${iso}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + 1)
+  return date.toISOString().slice(0, 10)
+}
+
+// Only briefs with fixed shoot dates can become a calendar entry
+export function canExportIcs(brief) {
+  return !brief.shoot.flexible && Boolean(brief.shoot.start)
+}
+
+export function briefIcs(brief) {
+  const services = brief.services.map((id) => optionLabel(serviceOptions, id)).join(', ')
+  const description = summarizeBrief(brief).map(([label, value]) => `${label}: ${value}`).join('\n')
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//VPROPS//Project Brief//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${stamp}-${Math.random().toString(36).slice(2, 10)}@vprops.studio`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(brief.shoot.start)}`,
+    // DTEND is exclusive for all-day events
+    `DTEND;VALUE=DATE:${icsDate(dayAfter(brief.shoot.end || brief.shoot.start))}`,
+    `SUMMARY:${escapeIcs(`VPROPS shoot: ${services}`)}`,
+    brief.shoot.location && `LOCATION:${escapeIcs(brief.shoot.location)}`,
+    `DESCRIPTION:${escapeIcs(description)}`,
+    'STATUS:TENTATIVE',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean)
+
+  return new Blob([lines.map(foldLine).join('\r\n') + '\r\n'], { type: 'text/calendar' })
+}
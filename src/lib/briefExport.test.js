@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+import { briefIcs, briefPdf, canExportIcs } from './briefExport'
+import { CONTACT_EMAIL } from './contact'
+
+const brief = {
+  type: 'vprops.brief',
+  version: 1,
+  contact: { name: 'Ada Novak', email: 'ada@example.com', company: '' },
+  services: ['set-design-props'],
+  budget: '25k-50k',
+  shoot: { start: '2026-12-30', end: '2026-12-31', flexible: false, location: 'Studio 4; Holešovice, Praha' },
+  deliverables: ['16:9'],
+  references: [],
+  message: 'Two looks:\n1. Day, 2. Night \\ rain',
+}
+
+const icsLines = async (value) => (await briefIcs(value).text()).split('\r\n')
+
+// Undoes RFC 5545 folding: a line starting with a space continues the last
+const unfold = (lines) => lines.join('\r\n').replace(/\r\n /g, '').split('\r\n')
+
+const field = (lines, name) => unfold(lines).find((line) => line.startsWith(name))
+
+describe('canExportIcs', () => {
+  it('needs fixed shoot dates', () => {
+    expect(canExportIcs(brief)).toBe(true)
+    expect(canExportIcs({ ...brief, shoot: { ...brief.shoot, flexible: true } })).toBe(false)
+    expect(canExportIcs({ ...brief, shoot: { ...brief.shoot, start: '' } })).toBe(false)
+  })
+})
+
+describe('briefIcs', () => {
+  it('makes an all-day event that ends the day after the shoot', async () => {
+    const lines = await icsLines(brief)
+    expect(field(lines, 'DTSTART')).toBe('DTSTART;VALUE=DATE:20261230')
+    expect(field(lines, 'DTEND')).toBe('DTEND;VALUE=DATE:20270101')
+    expect(lines.at(-1)).toBe('')
+  })
+
+  it('escapes commas, semicolons, backslashes and newlines', async () => {
+    const lines = await icsLines(brief)
+    expect(field(lines, 'LOCATION')).toBe('LOCATION:Studio 4\\; Holešovice\\, Praha')
+    expect(field(lines, 'DESCRIPTION')).toContain('Notes: Two looks:\\n1. Day\\, 2. Night \\\\ rain')
+  })
+
+  it('folds lines at 75 octets without splitting a character', async () => {
+    const location = 'Žižkov '.repeat(30).trim()
+    const lines = await icsLines({ ...brief, shoot: { ...brief.shoot, location } })
+    const encoder = new TextEncoder()
+
+    expect(lines.every((line) => encoder.encode(line).length <= 75)).toBe(true)
+    expect(lines.some((line) => line.startsWith(' '))).toBe(true)
+    expect(lines.join('')).not.toContain('�')
+    expect(field(lines, 'LOCATION')).toBe(`LOCATION:${location}`)
+  })
+})
+
+describe('briefPdf', () => {
+  it('prints the summary and where the brief goes', async () => {
+    const pdf = await briefPdf(brief).text()
+    expect(pdf).toContain('(Ada Novak) Tj')
+    expect(pdf).toContain(CONTACT_EMAIL)
+  })
+})
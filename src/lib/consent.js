@@ -0,0 +1,47 @@
+import { useSyncExternalStore } from 'react'
+import { createPreferenceStore } from './preferences'
+
+// What the visitor has agreed to, per category: 'granted' or 'denied', and
+// missing until they have been asked. Remembered across visits; the consent
+// banner asks, the footer's privacy settings change it. `necessary` covers
+// what the site can't work without (its own settings in localStorage) and
+// is always granted; `media` is third-party embeds such as YouTube films.
+
+export const CONSENT_CATEGORIES = ['necessary', 'media', 'analytics']
+const OPTIONAL_CATEGORIES = CONSENT_CATEGORIES.filter((category) => category !== 'necessary')
+const CHOICES = ['granted', 'denied']
+
+// Stored as JSON; entries for unknown categories or choices are dropped
+const store = createPreferenceStore({
+  key: 'vprops:consent',
+  read: (stored) => {
+    const parsed = JSON.parse(stored) ?? {}
+    return Object.fromEntries(OPTIONAL_CATEGORIES
+      .filter((category) => CHOICES.includes(parsed[category]))
+      .map((category) => [category, parsed[category]]))
+  },
+  write: (choices) => (Object.keys(choices).length ? JSON.stringify(choices) : null),
+})
+
+export const getConsent = (category) => (category === 'necessary' ? 'granted' : store.get()[category])
+
+export const hasConsent = (category) => getConsent(category) === 'granted'
+
+// setConsent({ analytics: 'granted' })
+export function setConsent(changes) {
+  const valid = Object.entries(changes)
+    .filter(([category, choice]) => OPTIONAL_CATEGORIES.includes(category) && CHOICES.includes(choice))
+  store.set({ ...store.get(), ...Object.fromEntries(valid) })
+}
+
+export const subscribeConsent = store.subscribe
+
+export function useConsent() {
+  return useSyncExternalStore(subscribeConsent, store.get)
+}
+
+// Whether content needing `category` may load; content that names no
+// category needs no consent
+export function useHasConsent(category) {
+  return useSyncExternalStore(subscribeConsent, () => !category || hasConsent(category))
+}
@@ -0,0 +1,85 @@
+import { createAdapter } from './contactAdapters'
+import { enqueue, flushQueue, readQueue } from './offlineQueue'
+import { summarizeBrief } from './brief'
+
+const composeEmail = (brief) => ({
+  subject: `New project brief from ${brief.contact.name}`,
+  body: summarizeBrief(brief).map(([label, value]) => `${label}: ${value}`).join('\n'),
+})
+
+export const CONTACT_EMAIL = import.meta.env.VITE_CONTACT_EMAIL || 'hello@vprops.studio'
+
+// Configured per deployment through Vite env variables, e.g.
+// VITE_CONTACT_ENDPOINT=/api/contact npm run dev (see .env.example)
+const adapter = createAdapter({
+  adapter: import.meta.env.VITE_CONTACT_ADAPTER,
+  endpoint: import.meta.env.VITE_CONTACT_ENDPOINT,
+  email: CONTACT_EMAIL,
+  compose: composeEmail,
+})
+
+// Submissions faster than this are almost certainly bots
+const MIN_FILL_TIME_MS = 3000
+
+// Honeypot field filled in, or the form was completed inhumanly fast
+export function isLikelySpam({ honeypot, startedAt, now = Date.now() }) {
+  return Boolean(honeypot) || now - startedAt < MIN_FILL_TIME_MS
+}
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+// Resolves to 'sent', 'queued' or 'mailto' (handed to the visitor's email
+// app, which can't tell us whether anything was sent); throws a
+// SubmissionError the visitor needs to act on (e.g. the endpoint rejected
+// the data). Attachments can't be stored offline, so a queued brief is
+// retried without them.
+export async function submitBrief(brief, files = []) {
+  const payload = {
+    ...brief,
+    page: window.location.href,
+    submittedAt: new Date().toISOString(),
+  }
+
+  if (adapter.type === 'mailto') {
+    await adapter.send(payload)
+    return 'mailto'
+  }
+
+  if (isOffline()) {
+    enqueue(payload)
+    return 'queued'
+  }
+
+  try {
+    await adapter.send(payload, files)
+    return 'sent'
+  } catch (err) {
+    if (!err.retryable) throw err
+    enqueue(payload)
+    return 'queued'
+  }
+}
+
+export function hasQueuedSubmissions() {
+  return readQueue().length > 0
+}
+
+// Retries queued submissions now and whenever the browser comes back online
+export function startSubmissionSync() {
+  if (adapter.type === 'mailto') return () => {}
+
+  let flushing = false
+  const flush = async () => {
+    if (flushing || isOffline() || !hasQueuedSubmissions()) return
+    flushing = true
+    try {
+      await flushQueue(adapter.send)
+    } finally {
+      flushing = false
+    }
+  }
+
+  flush()
+  window.addEventListener('online', flush)
+  return () => window.removeEventListener('online', flush)
+}
@@ -0,0 +1,141 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { briefPayload, emptyBrief } from './brief'
+import { createAdapter } from './contactAdapters'
+import { readQueue } from './offlineQueue'
+
+const brief = briefPayload({
+  ...emptyBrief,
+  name: 'Ada Novak',
+  email: 'ada@example.com',
+  services: ['set-design-props'],
+  budget: '10k-25k',
+  flexibleDates: true,
+  formats: ['16:9'],
+})
+
+// contact.js picks its adapter from the env when it loads, so each test
+// sets the env first and imports a fresh copy
+const loadContact = async (env = {}) => {
+  vi.resetModules()
+  for (const [name, value] of Object.entries(env)) vi.stubEnv(name, value)
+  return import('./contact')
+}
+
+const respond = (...responses) => vi.stubGlobal('fetch', vi.fn(async () => {
+  const response = responses.shift()
+  if (response instanceof Error) throw response
+  return response
+}))
+
+const goOffline = () => vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+
+describe('isLikelySpam', () => {
+  it('flags a filled honeypot', async () => {
+    const { isLikelySpam } = await loadContact()
+    expect(isLikelySpam({ honeypot: 'https://spam.example', startedAt: 0, now: 60000 })).toBe(true)
+  })
+
+  it('flags a form filled in under three seconds', async () => {
+    const { isLikelySpam } = await loadContact()
+    expect(isLikelySpam({ honeypot: '', startedAt: 10000, now: 12999 })).toBe(true)
+    expect(isLikelySpam({ honeypot: '', startedAt: 10000, now: 13000 })).toBe(false)
+  })
+})
+
+describe('createAdapter', () => {
+  it('posts to an endpoint when one is set and hands over to email otherwise', () => {
+    expect(createAdapter({ endpoint: '/api/contact' }).type).toBe('http')
+    expect(createAdapter({ email: 'hello@vprops.studio' }).type).toBe('mailto')
+  })
+
+  it('uses the adapter named in the env', () => {
+    expect(createAdapter({ adapter: 'form-service', endpoint: 'https://forms.example/f/1' }).type).toBe('form-service')
+  })
+
+  it('rejects an unknown adapter', () => {
+    expect(() => createAdapter({ adapter: 'carrier-pigeon' })).toThrow('Unknown contact adapter "carrier-pigeon"')
+  })
+})
+
+describe('submitBrief', () => {
+  beforeEach(() => localStorage.clear())
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('posts the brief with the page and time it was sent from', async () => {
+    respond(new Response(null, { status: 202 }))
+    const { submitBrief } = await loadContact({ VITE_CONTACT_ENDPOINT: '/api/contact' })
+
+    await expect(submitBrief(brief)).resolves.toBe('sent')
+    const [endpoint, init] = fetch.mock.calls[0]
+    expect(endpoint).toBe('/api/contact')
+    expect(JSON.parse(init.body)).toMatchObject({ ...brief, page: window.location.href, submittedAt: expect.any(String) })
+  })
+
+  it('queues the brief when the endpoint is down', async () => {
+    respond(new Response(null, { status: 503 }))
+    const { submitBrief } = await loadContact({ VITE_CONTACT_ENDPOINT: '/api/contact' })
+
+    await expect(submitBrief(brief)).resolves.toBe('queued')
+    expect(readQueue()).toHaveLength(1)
+  })
+
+  it('queues the brief without trying while offline', async () => {
+    respond()
+    goOffline()
+    const { submitBrief } = await loadContact({ VITE_CONTACT_ENDPOINT: '/api/contact' })
+
+    await expect(submitBrief(brief)).resolves.toBe('queued')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('throws when the endpoint rejects the brief', async () => {
+    respond(new Response(null, { status: 422 }))
+    const { submitBrief } = await loadContact({ VITE_CONTACT_ENDPOINT: '/api/contact' })
+
+    // A fresh contact.js brings its own SubmissionError class
+    await expect(submitBrief(brief)).rejects.toMatchObject({ name: 'SubmissionError', status: 422, retryable: false })
+    expect(readQueue()).toEqual([])
+  })
+
+  it('reports a mailto hand-off as its own result', async () => {
+    respond()
+    // jsdom can't navigate to mailto: and says so on the console
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const { submitBrief } = await loadContact({ VITE_CONTACT_ENDPOINT: '', VITE_CONTACT_ADAPTER: '' })
+
+    await expect(submitBrief(brief)).resolves.toBe('mailto')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+})
+
+describe('startSubmissionSync', () => {
+  beforeEach(() => localStorage.clear())
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('sends queued briefs once the browser is back online', async () => {
+    respond(new Response(null, { status: 202 }))
+    const offline = goOffline()
+    const { submitBrief, startSubmissionSync, hasQueuedSubmissions } = await loadContact({ VITE_CONTACT_ENDPOINT: '/api/contact' })
+    await submitBrief(brief)
+
+    const stop = startSubmissionSync()
+    expect(fetch).not.toHaveBeenCalled()
+
+    offline.mockReturnValue(true)
+    window.dispatchEvent(new Event('online'))
+    await vi.waitFor(() => expect(hasQueuedSubmissions()).toBe(false))
+    expect(fetch).toHaveBeenCalledOnce()
+    stop()
+  })
+})
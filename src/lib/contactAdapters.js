@@ -0,0 +1,89 @@
+// Transports for contact form submissions. Each adapter is an async function
+// that receives the lead payload (plus any attached files) and resolves once
+// it has been delivered.
+
+export class SubmissionError extends Error {
+  constructor(message, { retryable = false, status } = {}) {
+    super(message)
+    this.name = 'SubmissionError'
+    this.retryable = retryable
+    this.status = status
+  }
+}
+
+const send = async (endpoint, init) => {
+  let response
+  try {
+    response = await fetch(endpoint, init)
+  } catch (err) {
+    // fetch only rejects on network failure, which is worth retrying later
+    throw new SubmissionError(`Network error: ${err.message}`, { retryable: true })
+  }
+
+  if (!response.ok) {
+    throw new SubmissionError(`Server responded with ${response.status}`, {
+      retryable: response.status >= 500 || response.status === 429,
+      status: response.status,
+    })
+  }
+}
+
+// JSON POST to our own (or a serverless) endpoint. With attachments the
+// payload travels as a `payload` JSON field of a multipart body instead.
+export const httpAdapter = (endpoint) => (payload, files = []) => {
+  if (!files.length) {
+    return send(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(payload),
+    })
+  }
+
+  const body = new FormData()
+  body.append('payload', JSON.stringify(payload))
+  files.forEach((file) => body.append('files', file))
+  return send(endpoint, {
+    method: 'POST',
+    headers: { Accept: 'application/json' },
+    body,
+  })
+}
+
+// Hosted form services (Formspree, Basin, Getform...) expect flat form fields
+export const formServiceAdapter = (endpoint) => (payload, files = []) => {
+  const body = new FormData()
+  for (const [key, value] of Object.entries(payload)) {
+    body.append(key, typeof value === 'string' ? value : JSON.stringify(value))
+  }
+  files.forEach((file) => body.append('attachment', file))
+  return send(endpoint, {
+    method: 'POST',
+    headers: { Accept: 'application/json' },
+    body,
+  })
+}
+
+export function mailtoUrl(address, { subject, body }) {
+  return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`
+}
+
+// Last resort when no endpoint is configured: hand over to the mail client.
+// `compose` turns the payload into { subject, body }; files cannot be attached.
+export const mailtoAdapter = (address, compose) => async (payload) => {
+  window.location.href = mailtoUrl(address, compose(payload))
+}
+
+export function createAdapter({ adapter, endpoint, email, compose }) {
+  const type = adapter || (endpoint ? 'http' : 'mailto')
+
+  switch (type) {
+    case 'http':
+      return { type, send: httpAdapter(endpoint) }
+    case 'form-service':
+      return { type, send: formServiceAdapter(endpoint) }
+    case 'mailto':
+      return { type, send: mailtoAdapter(email, compose) }
+    default:
+      throw new Error(`Unknown contact adapter "${type}"`)
+  }
+}
@@ -0,0 +1,41 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+import { track } from './telemetry'
+
+const RESTORE_TIMEOUT_MS = 3000
+const MAX_CONTEXT_LOSSES = 3
+
+// Tracks lost WebGL contexts for one canvas. The browser usually restores a
+// lost context by itself; if it hasn't after RESTORE_TIMEOUT_MS the canvas
+// is recreated (bump `generation` into its key), and after repeated losses
+// `failed` tells the caller to stop trying and show the still.
+export function useContextRecovery(scene) {
+  const [state, setState] = useState({ lost: false, losses: 0, generation: 0 })
+  const timer = useRef(null)
+
+  const handleLost = useCallback(() => {
+    track('webgl-context-lost', { scene })
+    setState((current) => ({ ...current, lost: true, losses: current.losses + 1 }))
+
+    clearTimeout(timer.current)
+    timer.current = setTimeout(() => {
+      track('webgl-context-recreated', { scene })
+      setState((current) => ({ ...current, lost: false, generation: current.generation + 1 }))
+    }, RESTORE_TIMEOUT_MS)
+  }, [scene])
+
+  const handleRestored = useCallback(() => {
+    clearTimeout(timer.current)
+    track('webgl-context-restored', { scene })
+    setState((current) => ({ ...current, lost: false }))
+  }, [scene])
+
+  useEffect(() => () => clearTimeout(timer.current), [])
+
+  return {
+    lost: state.lost,
+    generation: state.generation,
+    failed: state.losses >= MAX_CONTEXT_LOSSES,
+    handleLost,
+    handleRestored,
+  }
+}
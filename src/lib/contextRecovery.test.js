@@ -0,0 +1,51 @@
+// @vitest-environment jsdom
+import { act, cleanup, renderHook } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { useContextRecovery } from './contextRecovery'
+import { telemetryHistory } from './telemetry'
+
+const lastEvent = () => telemetryHistory().at(-1)
+
+describe('useContextRecovery', () => {
+  beforeEach(() => vi.useFakeTimers())
+
+  afterEach(() => {
+    cleanup()
+    vi.useRealTimers()
+  })
+
+  it('keeps the canvas when the browser restores the context', () => {
+    const { result } = renderHook(() => useContextRecovery('hero'))
+
+    act(() => result.current.handleLost())
+    expect(result.current).toMatchObject({ lost: true, failed: false, generation: 0 })
+    expect(lastEvent()).toMatchObject({ name: 'webgl-context-lost', scene: 'hero' })
+
+    act(() => result.current.handleRestored())
+    act(() => vi.advanceTimersByTime(5000))
+    expect(result.current).toMatchObject({ lost: false, failed: false, generation: 0 })
+    expect(lastEvent()).toMatchObject({ name: 'webgl-context-restored', scene: 'hero' })
+  })
+
+  it('recreates the canvas when the context is not restored in time', () => {
+    const { result } = renderHook(() => useContextRecovery('hero'))
+
+    act(() => result.current.handleLost())
+    act(() => vi.advanceTimersByTime(3000))
+    expect(result.current).toMatchObject({ lost: false, failed: false, generation: 1 })
+    expect(lastEvent()).toMatchObject({ name: 'webgl-context-recreated', scene: 'hero' })
+  })
+
+  it('gives up after the third loss', () => {
+    const { result } = renderHook(() => useContextRecovery('showroom'))
+
+    for (let loss = 1; loss <= 2; loss++) {
+      act(() => result.current.handleLost())
+      act(() => vi.advanceTimersByTime(3000))
+      expect(result.current.failed).toBe(false)
+    }
+
+    act(() => result.current.handleLost())
+    expect(result.current.failed).toBe(true)
+  })
+})
@@ -0,0 +1,57 @@
+import { useCallback, useLayoutEffect, useRef } from 'react'
+import { isReducedMotion } from './motion'
+
+// FLIP layout animation for a container whose children carry
+// data-flip-key. Call the returned `capture` right before a state change
+// that rearranges them; once the new layout renders, each child animates
+// from its old box to its new one and newcomers fade in. With reduced motion
+// children don't move and only the fade remains.
+
+const DURATION = 450
+const EASING = 'cubic-bezier(0.4, 0, 0.2, 1)'
+
+const measure = (container) => {
+  const boxes = new Map()
+  for (const element of container.querySelectorAll('[data-flip-key]')) {
+    boxes.set(element.dataset.flipKey, element.getBoundingClientRect())
+  }
+  return boxes
+}
+
+export function useFlip(containerRef, layoutKey) {
+  const captured = useRef(null)
+
+  useLayoutEffect(() => {
+    const before = captured.current
+    const container = containerRef.current
+    captured.current = null
+    if (!before || !container) return
+
+    const reduced = isReducedMotion()
+    for (const element of container.querySelectorAll('[data-flip-key]')) {
+      const box = element.getBoundingClientRect()
+      const previous = before.get(element.dataset.flipKey)
+
+      if (!previous) {
+        element.animate([{ opacity: 0 }, { opacity: 1 }], { duration: DURATION, easing: EASING })
+        continue
+      }
+      if (reduced) continue
+
+      const dx = previous.left - box.left
+      const dy = previous.top - box.top
+      const sx = previous.width / box.width
+      const sy = previous.height / box.height
+      if (!dx && !dy && sx === 1 && sy === 1) continue
+
+      element.animate([
+        { transformOrigin: '0 0', transform: `translate(${dx}px, ${dy}px) scale(${sx}, ${sy})` },
+        { transformOrigin: '0 0', transform: 'none' },
+      ], { duration: DURATION, easing: EASING })
+    }
+  }, [containerRef, layoutKey])
+
+  return useCallback(() => {
+    if (containerRef.current) captured.current = measure(containerRef.current)
+  }, [containerRef])
+}
@@ -0,0 +1,82 @@
+import { useEffect } from 'react'
+import en from '../messages/en.json'
+import cs from '../messages/cs.json'
+import { LOCALES, DEFAULT_LOCALE, createTranslator, withTrailingSlash } from '../locales'
+import { href, getPath, getLocale, useLocale } from './router'
+
+const catalogs = { en, cs }
+const STORAGE_KEY = 'vprops:locale'
+
+const translators = {}
+
+// Cached per locale; the build check keeps catalogs complete, so the
+// English fallback only shows while one is being edited
+export function translator(locale) {
+  translators[locale] ??= createTranslator(locale, catalogs[locale], catalogs[DEFAULT_LOCALE])
+  return translators[locale]
+}
+
+export function useTranslation() {
+  const locale = useLocale()
+  return { locale, t: translator(locale) }
+}
+
+// The language picked in the switcher, else the browser's first supported one
+const preferredLocale = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (LOCALES.includes(stored)) return stored
+  } catch {
+    // Storage unavailable; fall through to the browser languages
+  }
+  const languages = navigator.languages?.length ? navigator.languages : [navigator.language]
+  return languages.map((tag) => tag?.split('-')[0]).find((language) => LOCALES.includes(language)) ?? DEFAULT_LOCALE
+}
+
+export function rememberLocale(locale) {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale)
+  } catch {
+    // The choice still applies for this visit through the URL
+  }
+}
+
+// Sends a visitor landing on an unprefixed (default locale) URL to their
+// preferred language. Explicitly prefixed URLs are always respected.
+export function startLocale() {
+  const preferred = preferredLocale()
+  if (getLocale() !== DEFAULT_LOCALE || preferred === DEFAULT_LOCALE) return
+  const { search, hash } = window.location
+  window.history.replaceState(null, '', href(getPath(), preferred) + search + hash)
+}
+
+// The <head> element matching `selector`, created with `attributes` if missing
+const headElement = (selector, tag, attributes) => {
+  let element = document.head.querySelector(selector)
+  if (!element) {
+    element = Object.assign(document.createElement(tag), attributes)
+    document.head.append(element)
+  }
+  return element
+}
+
+const alternateLink = (hreflang) =>
+  headElement(`link[rel="alternate"][hreflang="${hreflang}"]`, 'link', { rel: 'alternate', hreflang })
+
+// Keeps <html lang>, the title, the description and the hreflang alternates
+// in step with client-side navigation (the build writes the same into each
+// page's HTML). `meta` comes from pageMeta in src/pageMeta.js.
+export function useDocumentLocale(path, { title, description }) {
+  const locale = useLocale()
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+    document.title = title
+    headElement('meta[name="description"]', 'meta', { name: 'description' }).content = description
+    const { origin } = window.location
+    for (const alternate of LOCALES) {
+      alternateLink(alternate).href = origin + withTrailingSlash(href(path, alternate))
+    }
+    alternateLink('x-default').href = origin + withTrailingSlash(href(path, DEFAULT_LOCALE))
+  }, [locale, path, title, description])
+}
@@ -0,0 +1,18 @@
+import { lightingPresets, DEFAULT_LIGHTING } from '../content/lighting'
+
+const BASE_URL = import.meta.env.BASE_URL
+
+export const LIGHTING_PRESETS = Object.keys(lightingPresets)
+
+// Shadow settings for presets without their own, when the showroom turns
+// contact shadows on anyway
+export const DEFAULT_SHADOWS = { opacity: 0.45, blur: 2.5 }
+
+export function getLightingPreset(id) {
+  return lightingPresets[id] ?? lightingPresets[DEFAULT_LIGHTING]
+}
+
+// Served by scripts/vite-plugin-environments.js
+export function environmentUrl(name) {
+  return `${BASE_URL}environments/${name}.hdr`
+}
@@ -0,0 +1,132 @@
+import { useEffect, useRef } from 'react'
+
+const SPEED = 40 // px per second
+const DRAG_THRESHOLD = 5
+const REVEAL_MARGIN = 24
+
+const wrap = (value, length) => ((value % length) + length) % length
+
+// Loops the children of `trackRef` across `viewportRef` by moving each one
+// on its own: an item that leaves on the left is placed after the last one
+// on the right, so the loop needs no second copy of the markup. While
+// `running` the track scrolls; it can always be dragged or swiped, and a
+// child that receives keyboard focus is brought into view. When everything
+// fits in the viewport there is nothing to loop and the track is marked
+// data-loop="false" to sit still. Does nothing unless `enabled`.
+export function useMarquee(viewportRef, trackRef, { enabled, running }) {
+  // Kept across effect runs so pausing and resuming continue from here
+  const offsetRef = useRef(0)
+
+  useEffect(() => {
+    const viewport = viewportRef.current
+    const track = trackRef.current
+    if (!enabled || !viewport || !track) return
+
+    let items = []
+    let length = 0
+    let looping = false
+
+    const place = () => {
+      for (const { element, left, width } of items) {
+        const x = looping ? wrap(left - offsetRef.current + width, length) - width : left
+        element.style.transform = `translateX(${x - left}px)`
+      }
+    }
+
+    // Lengths come from the natural layout; the gap after the last item
+    // closes the loop
+    const measure = () => {
+      for (const element of track.children) element.style.transform = ''
+      items = [...track.children].map((element) => ({ element, left: element.offsetLeft, width: element.offsetWidth }))
+      length = track.scrollWidth + (parseFloat(getComputedStyle(track).columnGap) || 0)
+      looping = length - Math.max(0, ...items.map((item) => item.width)) >= viewport.clientWidth
+      track.dataset.loop = looping
+      place()
+    }
+
+    const resizeObserver = new ResizeObserver(measure)
+    resizeObserver.observe(viewport)
+    resizeObserver.observe(track)
+    measure()
+
+    let drag = null
+    let suppressClick = false
+
+    const onPointerDown = (e) => {
+      if (!looping || !e.isPrimary || e.button !== 0) return
+      drag = { id: e.pointerId, x: e.clientX, offset: offsetRef.current, moved: false }
+    }
+
+    const onPointerMove = (e) => {
+      if (!drag || e.pointerId !== drag.id) return
+      const dx = e.clientX - drag.x
+      if (!drag.moved && Math.abs(dx) < DRAG_THRESHOLD) return
+      if (!drag.moved) {
+        drag.moved = true
+        viewport.setPointerCapture(drag.id)
+        viewport.dataset.dragging = ''
+      }
+      offsetRef.current = drag.offset - dx
+      place()
+    }
+
+    const onPointerUp = (e) => {
+      if (!drag || e.pointerId !== drag.id) return
+      suppressClick = drag.moved
+      drag = null
+      delete viewport.dataset.dragging
+    }
+
+    // A drag that ends over a logo link shouldn't follow it
+    const onClick = (e) => {
+      if (!suppressClick) return
+      suppressClick = false
+      e.preventDefault()
+      e.stopPropagation()
+    }
+
+    // Keeps the focused link fully on screen
+    const onFocusIn = (e) => {
+      const item = looping && items.find(({ element }) => element.contains(e.target))
+      if (!item) return
+      const x = wrap(item.left - offsetRef.current + item.width, length) - item.width
+      if (x >= 0 && x + item.width <= viewport.clientWidth) return
+      const target = x < 0 ? REVEAL_MARGIN : viewport.clientWidth - item.width - REVEAL_MARGIN
+      offsetRef.current = item.left - target
+      place()
+    }
+
+    viewport.addEventListener('pointerdown', onPointerDown)
+    viewport.addEventListener('pointermove', onPointerMove)
+    viewport.addEventListener('pointerup', onPointerUp)
+    viewport.addEventListener('pointercancel', onPointerUp)
+    viewport.addEventListener('click', onClick, true)
+    viewport.addEventListener('focusin', onFocusIn)
+
+    let rafId
+    let last = performance.now()
+    const tick = (now) => {
+      if (looping && !drag?.moved) {
+        offsetRef.current = wrap(offsetRef.current + (SPEED * (now - last)) / 1000, length)
+        place()
+      }
+      last = now
+      rafId = requestAnimationFrame(tick)
+    }
+    if (running) rafId = requestAnimationFrame(tick)
+
+    return () => {
+      cancelAnimationFrame(rafId)
+      resizeObserver.disconnect()
+      viewport.removeEventListener('pointerdown', onPointerDown)
+      viewport.removeEventListener('pointermove', onPointerMove)
+      viewport.removeEventListener('pointerup', onPointerUp)
+      viewport.removeEventListener('pointercancel', onPointerUp)
+      viewport.removeEventListener('click', onClick, true)
+      viewport.removeEventListener('focusin', onFocusIn)
+      delete viewport.dataset.dragging
+      delete track.dataset.loop
+      for (const element of track.children) element.style.transform = ''
+    }
+  }, [viewportRef, trackRef, enabled, running])
+}
@@ -0,0 +1,210 @@
+import * as THREE from 'three'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader'
+import manifest from '../content/models.json'
+import { hasCompactModel, compactModelPath } from '../compactModels'
+import { assetUrl } from './projects'
+
+export const models = manifest.models
+
+export function getModel(id) {
+  return models.find((model) => model.id === id)
+}
+
+export const heroModel = getModel(manifest.hero)
+
+// Decoder files are copied next to the build by scripts/vite-plugin-draco.js
+let dracoLoader
+const withDraco = (loader) => {
+  dracoLoader ??= new DRACOLoader().setDecoderPath(assetUrl('draco/'))
+  loader.setDRACOLoader(dracoLoader)
+}
+
+// URL the browser actually downloads: plain OBJ props come as the compact
+// binary glTF generated by scripts/vite-plugin-compact-models.js
+export function modelSourceUrl(model) {
+  return assetUrl(hasCompactModel(model) ? compactModelPath(model) : model.src)
+}
+
+// Every file a prop needs before it can be shown in a render mode, for preloading
+export function modelAssetUrls(model, mode = 'full') {
+  return [
+    modelSourceUrl(model),
+    model.mtl && assetUrl(model.mtl),
+    ...textureEntries(model, mode).map(([, url]) => url),
+  ].filter(Boolean)
+}
+
+// Loader class plus an optional extension callback for useLoader
+export function loaderFor(model) {
+  if (hasCompactModel(model)) return { Loader: GLTFLoader }
+
+  switch (model.format) {
+    case 'obj':
+      return { Loader: OBJLoader }
+    case 'gltf':
+    case 'glb':
+      return { Loader: GLTFLoader, extend: model.draco ? withDraco : undefined }
+    default:
+      throw new Error(`Unsupported model format "${model.format}"`)
+  }
+}
+
+const DEFAULT_NORMALIZE = { center: true, size: 2.2 }
+
+// Centers an object on the origin and scales its largest side to `size`,
+// so every prop fits the same framing regardless of how it was exported.
+export function normalizeObject(object, options = {}) {
+  const { center, size, rotation, offset } = { ...DEFAULT_NORMALIZE, ...options }
+
+  if (rotation) {
+    object.rotation.set(...rotation.map(THREE.MathUtils.degToRad))
+    object.updateMatrixWorld(true)
+  }
+
+  const box = new THREE.Box3().setFromObject(object)
+  const boxSize = box.getSize(new THREE.Vector3())
+  const maxDim = Math.max(boxSize.x, boxSize.y, boxSize.z)
+  const scale = size && maxDim > 0 ? size / maxDim : 1
+  object.scale.multiplyScalar(scale)
+
+  if (center) {
+    // Offset by the scaled center so the bounds end up around the origin
+    object.position.sub(box.getCenter(new THREE.Vector3()).multiplyScalar(scale))
+  }
+  if (offset) {
+    object.position.add(new THREE.Vector3(...offset))
+  }
+
+  return { scale, sourceSize: boxSize.clone(), size: boxSize.multiplyScalar(scale) }
+}
+
+const textureSlots = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap']
+// The simplified render mode only draws the diffuse map, so it skips downloading the rest
+const simplifiedSlots = ['map']
+
+export function textureEntries(model, mode = 'full') {
+  return (mode === 'simplified' ? simplifiedSlots : textureSlots)
+    .filter((slot) => model.textures?.[slot])
+    .map((slot) => [slot, assetUrl(model.textures[slot])])
+}
+
+const materialValues = (overrides = {}) => {
+  const { replace: _replace, color, emissive, ...values } = overrides
+  if (color) values.color = new THREE.Color(color)
+  if (emissive) values.emissive = new THREE.Color(emissive)
+  return values
+}
+
+// Lambert stand-in for the simplified render mode: keeps the colour and
+// diffuse map, drops the PBR lighting that software renderers struggle with
+const simplifyMaterial = (material) => new THREE.MeshLambertMaterial({
+  color: material.color,
+  map: material.map,
+  transparent: material.transparent,
+  opacity: material.opacity,
+  side: material.side,
+})
+
+// Clones the loaded scene and applies the manifest's textures and material
+// settings. Assets without materials of their own (plain OBJ) or with
+// `material.replace` get a fresh MeshStandardMaterial; otherwise the source
+// materials are cloned and only the overridden properties are changed. In
+// the simplified render mode the result is swapped for Lambert materials.
+export function prepareModel(source, model, textures = {}, mode = 'full') {
+  const clone = source.clone()
+  const hasOwnMaterials = model.format !== 'obj' || Boolean(model.mtl)
+  const replace = !hasOwnMaterials || model.material?.replace
+  const values = materialValues(model.material)
+
+  clone.traverse((child) => {
+    if (!child.isMesh) return
+
+    if (replace) {
+      child.material = new THREE.MeshStandardMaterial({ ...textures, ...values })
+      return
+    }
+
+    const apply = (material) => {
+      const copy = material.clone()
+      for (const [key, value] of Object.entries({ ...textures, ...values })) {
+        if (key in copy) copy[key] = value
+      }
+      copy.needsUpdate = true
+      return copy
+    }
+    child.material = Array.isArray(child.material) ? child.material.map(apply) : apply(child.material)
+  })
+
+  clone.traverse((child) => {
+    if (!child.isMesh) return
+    if (mode === 'simplified') {
+      child.material = Array.isArray(child.material)
+        ? child.material.map(simplifyMaterial)
+        : simplifyMaterial(child.material)
+    }
+    child.userData.sourceMaterial = child.material
+  })
+  clone.userData.dimensions = normalizeObject(clone, model.normalize)
+  return clone
+}
+
+// Where a prepared prop meets the floor: the bottom of its bounds
+export function floorLevel(object) {
+  return new THREE.Box3().setFromObject(object).min.y
+}
+
+// Multiplies the colour of each prepared material by the theme's `tint`,
+// starting from the material's own colour every time
+export function applyTint(object, tint) {
+  const color = new THREE.Color(tint)
+  object.traverse((child) => {
+    if (!child.isMesh) return
+    for (const material of [child.userData.sourceMaterial].flat()) {
+      if (!material?.color) continue
+      material.userData.baseColor ??= material.color.clone()
+      material.color.copy(material.userData.baseColor).multiply(color)
+    }
+  })
+}
+
+// Inspection views for the showroom: 'full' shows the prepared material,
+// a texture slot ('normalMap'...) shows that map unlit, 'wireframe' the mesh.
+// `colors` ({ wireframe, blank } from the scene theme) colour the wireframe
+// and slots the prop has no map for.
+const wireframeMaterial = new THREE.MeshBasicMaterial({ wireframe: true })
+const blankMaterial = new THREE.MeshBasicMaterial()
+
+export function applyView(object, view, colors) {
+  wireframeMaterial.color.set(colors.wireframe)
+  blankMaterial.color.set(colors.blank)
+  object.traverse((child) => {
+    if (!child.isMesh) return
+    const source = child.userData.sourceMaterial
+
+    if (view === 'full') {
+      child.material = source
+    } else if (view === 'wireframe') {
+      child.material = wireframeMaterial
+    } else {
+      const cache = (child.userData.viewMaterials ??= {})
+      const map = (Array.isArray(source) ? source[0] : source)?.[view]
+      cache[view] ??= map ? new THREE.MeshBasicMaterial({ map }) : blankMaterial
+      child.material = cache[view]
+    }
+  })
+}
+
+// Slots that have a texture on at least one mesh of the prepared object
+export function availableMaps(object) {
+  const slots = new Set()
+  object.traverse((child) => {
+    if (!child.isMesh) return
+    const materials = [].concat(child.userData.sourceMaterial)
+    for (const slot of textureSlots) {
+      if (materials.some((material) => material?.[slot])) slots.add(slot)
+    }
+  })
+  return textureSlots.filter((slot) => slots.has(slot))
+}
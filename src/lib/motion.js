@@ -0,0 +1,35 @@
+import { useSyncExternalStore } from 'react'
+import { createSystemPreference } from './preferences'
+
+// Site-wide motion preference. 'system' follows the OS reduced-motion
+// setting; 'reduced' and 'full' are the visitor's choice from the nav toggle,
+// remembered across visits. The effective value is mirrored onto
+// <html data-motion="reduced|full"> so CSS can switch animations off too.
+
+export const REDUCED_MOTION = '(prefers-reduced-motion: reduce)'
+
+const motion = createSystemPreference({
+  key: 'vprops:motion',
+  choices: ['reduced', 'full'],
+  query: REDUCED_MOTION,
+  system: (reduce) => (reduce ? 'reduced' : 'full'),
+  attribute: 'motion',
+})
+
+export const getMotionPreference = motion.getPreference
+export const setMotionPreference = motion.set
+export const toggleMotion = motion.toggle
+export const subscribeMotion = motion.subscribe
+export const startMotionPreference = motion.start
+
+export const isReducedMotion = () => motion.get() === 'reduced'
+
+// Like window.matchMedia(query).matches, except the reduced-motion feature
+// answers with the site preference, so timelines can key layouts off it
+export function matchesMotionMedia(query) {
+  return query === REDUCED_MOTION ? isReducedMotion() : window.matchMedia(query).matches
+}
+
+export function useReducedMotion() {
+  return useSyncExternalStore(subscribeMotion, isReducedMotion)
+}
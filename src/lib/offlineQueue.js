@@ -0,0 +1,49 @@
+// Submissions that could not be delivered, kept in localStorage until the
+// visitor is back online.
+
+const STORAGE_KEY = 'vprops:contact-queue'
+
+export function readQueue() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+const writeQueue = (queue) => {
+  try {
+    if (queue.length) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queue))
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY)
+    }
+  } catch {
+    // Storage full or disabled (private mode); nothing more we can do
+  }
+}
+
+export function enqueue(payload) {
+  writeQueue([...readQueue(), { payload, queuedAt: Date.now() }])
+}
+
+// Sends queued entries in order. Stops at the first retryable failure so the
+// rest wait for the next attempt; permanently rejected entries are dropped.
+export async function flushQueue(send) {
+  const queue = readQueue()
+  let sent = 0
+
+  while (queue.length) {
+    try {
+      await send(queue[0].payload)
+      sent++
+    } catch (err) {
+      if (err.retryable) break
+      console.warn('Dropping queued contact submission:', err.message)
+    }
+    queue.shift()
+    writeQueue(queue)
+  }
+
+  return sent
+}
@@ -0,0 +1,58 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { SubmissionError } from './contactAdapters'
+import { enqueue, flushQueue, readQueue } from './offlineQueue'
+
+const payloads = () => readQueue().map((entry) => entry.payload)
+
+describe('offline queue', () => {
+  beforeEach(() => localStorage.clear())
+  afterEach(() => vi.restoreAllMocks())
+
+  it('keeps submissions in order across reads', () => {
+    enqueue({ id: 1 })
+    enqueue({ id: 2 })
+    expect(payloads()).toEqual([{ id: 1 }, { id: 2 }])
+    expect(readQueue()[0].queuedAt).toEqual(expect.any(Number))
+  })
+
+  it('starts empty when the stored queue is unreadable', () => {
+    localStorage.setItem('vprops:contact-queue', 'not json')
+    expect(readQueue()).toEqual([])
+  })
+
+  it('sends everything in order and clears the queue', async () => {
+    enqueue({ id: 1 })
+    enqueue({ id: 2 })
+    const send = vi.fn(async () => {})
+
+    await expect(flushQueue(send)).resolves.toBe(2)
+    expect(send.mock.calls.map(([payload]) => payload)).toEqual([{ id: 1 }, { id: 2 }])
+    expect(localStorage.getItem('vprops:contact-queue')).toBeNull()
+  })
+
+  it('stops at a retryable failure and keeps the rest for later', async () => {
+    enqueue({ id: 1 })
+    enqueue({ id: 2 })
+    enqueue({ id: 3 })
+    const send = vi.fn(async ({ id }) => {
+      if (id === 2) throw new SubmissionError('Server responded with 503', { retryable: true, status: 503 })
+    })
+
+    await expect(flushQueue(send)).resolves.toBe(1)
+    expect(send).toHaveBeenCalledTimes(2)
+    expect(payloads()).toEqual([{ id: 2 }, { id: 3 }])
+  })
+
+  it('drops submissions the endpoint rejects for good', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    enqueue({ id: 1 })
+    enqueue({ id: 2 })
+    const send = vi.fn(async ({ id }) => {
+      if (id === 1) throw new SubmissionError('Server responded with 422', { status: 422 })
+    })
+
+    await expect(flushQueue(send)).resolves.toBe(1)
+    expect(payloads()).toEqual([])
+  })
+})
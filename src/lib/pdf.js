@@ -0,0 +1,92 @@
+// Minimal text-only PDF writer (A4, built-in Helvetica). Enough for a
+// printable summary without shipping a PDF library to every visitor.
+
+const PAGE_WIDTH = 595
+const PAGE_HEIGHT = 842
+const MARGIN = 56
+
+// WinAnsi code points outside Latin-1 that we are likely to meet in copy
+const winAnsiExtras = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 }
+
+const encodeChar = (char) => {
+  const code = char.charCodeAt(0)
+  if (winAnsiExtras[char]) return `\\${winAnsiExtras[char].toString(8)}`
+  if (char === '(' || char === ')' || char === '\\') return `\\${char}`
+  if (code >= 32 && code < 127) return char
+  if (code >= 160 && code <= 255) return `\\${code.toString(8)}`
+
+  // Drop accents the standard fonts cannot draw (č -> c, ř -> r)
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  return base !== char && base.length === 1 ? encodeChar(base) : '?'
+}
+
+const encodeText = (text) => Array.from(text, encodeChar).join('')
+
+// Rough Helvetica metrics: wide enough that wrapped lines never overflow
+const wrap = (text, size) => {
+  const maxChars = Math.floor((PAGE_WIDTH - MARGIN * 2) / (size * 0.52))
+  const lines = []
+  for (const paragraph of String(text).split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(/\s+/)) {
+      if (line && (line + ' ' + word).length > maxChars) {
+        lines.push(line)
+        line = word
+      } else {
+        line = line ? `${line} ${word}` : word
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+// blocks: [{ text, size = 11, bold = false, gap = 4 }] laid out top to bottom
+export function createTextPdf(blocks) {
+  const pages = [[]]
+  let y = PAGE_HEIGHT - MARGIN
+
+  for (const { text, size = 11, bold = false, gap = 4 } of blocks) {
+    for (const line of wrap(text, size)) {
+      const leading = size * 1.4
+      if (y - leading < MARGIN) {
+        pages.push([])
+        y = PAGE_HEIGHT - MARGIN
+      }
+      y -= leading
+      pages[pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td (${encodeText(line)}) Tj ET`)
+    }
+    y -= gap
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page + content pair per page
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ]
+  const pageRefs = []
+  for (const commands of pages) {
+    const stream = commands.join('\n')
+    const pageId = objects.length + 1
+    pageRefs.push(`${pageId} 0 R`)
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`)
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`)
+  }
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`
+
+  // Everything above is plain ASCII, so string length equals byte length
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`
+    return offset
+  })
+  const xrefOffset = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return new Blob([pdf], { type: 'application/pdf' })
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { createTextPdf } from './pdf'
+
+const render = async (blocks) => {
+  const blob = createTextPdf(blocks)
+  expect(blob.type).toBe('application/pdf')
+  return blob.text()
+}
+
+const shownText = (pdf) => [...pdf.matchAll(/\((.*)\) Tj/g)].map(([, text]) => text)
+
+describe('createTextPdf', () => {
+  it('writes a PDF whose cross-reference table points at every object', async () => {
+    const pdf = await render([{ text: 'Project brief', size: 22, bold: true }])
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true)
+    expect(pdf.endsWith('%%EOF\n')).toBe(true)
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1])
+    expect(pdf.slice(xref).startsWith('xref\n')).toBe(true)
+
+    const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(([, offset]) => Number(offset))
+    expect(offsets).toHaveLength(6)
+    offsets.forEach((offset, i) => expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj\n`)).toBe(true))
+  })
+
+  it('records the length of each content stream', async () => {
+    const pdf = await render([{ text: 'Hello' }])
+    const [, length, stream] = pdf.match(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/)
+    expect(stream).toHaveLength(Number(length))
+  })
+
+  it('escapes parentheses and backslashes, and draws what WinAnsi can', async () => {
+    const pdf = await render([{ text: 'Budget (est.) \\ 10 000 € – Příbram 😀' }])
+    expect(shownText(pdf)).toEqual(['Budget \\(est.\\) \\\\ 10 000 \\200 \\226 Pr\\355bram ?'])
+  })
+
+  it('uses the bold font for bold blocks', async () => {
+    const pdf = await render([{ text: 'Heading', bold: true }, { text: 'Body' }])
+    expect(pdf).toContain('/F2 11 Tf')
+    expect(pdf).toContain('/F1 11 Tf')
+  })
+
+  it('wraps long paragraphs and keeps line breaks', async () => {
+    const words = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ')
+    const lines = shownText(await render([{ text: `${words}\nNext paragraph` }]))
+
+    expect(lines.length).toBeGreaterThan(2)
+    expect(lines.at(-1)).toBe('Next paragraph')
+    expect(lines.slice(0, -1).join(' ')).toBe(words)
+  })
+
+  it('starts a new page when the text runs past the bottom margin', async () => {
+    const pdf = await render(Array.from({ length: 60 }, (_, i) => ({ text: `Line ${i}` })))
+    expect(pdf).toContain('/Count 2')
+    expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2)
+  })
+})
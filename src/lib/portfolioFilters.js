@@ -0,0 +1,64 @@
+// Portfolio filtering, kept free of React and the DOM. The filters live in
+// the URL query string, e.g. ?category=automotive&year=2024, so a filtered
+// grid can be shared as a link.
+
+export const SORTS = ['featured', 'newest', 'oldest'].map((id) => ({ id, labelKey: `portfolio.sorts.${id}` }))
+
+export const DEFAULT_FILTERS = { category: '', year: '', q: '', sort: 'featured' }
+
+// Categories in the order they first appear, so curation sets the chip order
+export const categoriesOf = (projects) => [...new Set(projects.map((project) => project.category))]
+
+export const yearsOf = (projects) => [...new Set(projects.map((project) => project.year))].sort((a, b) => b - a)
+
+// Case- and accent-insensitive, so "cafe" finds "Café"
+const fold = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+
+// Reads filters from a query string, dropping values that match nothing in
+// `projects` so a stale link shows everything rather than an empty grid
+export function readFilters(search, projects) {
+  const params = new URLSearchParams(search)
+  const category = params.get('category') || ''
+  const year = params.get('year') || ''
+  const sort = params.get('sort') || ''
+
+  return {
+    category: categoriesOf(projects).includes(category) ? category : '',
+    year: yearsOf(projects).map(String).includes(year) ? year : '',
+    q: params.get('q') ?? '',
+    sort: SORTS.some((option) => option.id === sort) ? sort : DEFAULT_FILTERS.sort,
+  }
+}
+
+// The query string for `filters`, leaving out defaults. Other parameters in
+// `search` are kept.
+export function writeFilters(filters, search = '') {
+  const params = new URLSearchParams(search)
+  for (const [key, value] of Object.entries(filters)) {
+    if (value && value !== DEFAULT_FILTERS[key]) params.set(key, value)
+    else params.delete(key)
+  }
+  return params.toString()
+}
+
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.category || filters.year || filters.q.trim())
+
+// Every word of the search has to appear in the title or the client
+const matchesSearch = (project, q) => {
+  const haystack = fold(`${project.title} ${project.client ?? ''}`)
+  return fold(q).split(/\s+/).filter(Boolean).every((word) => haystack.includes(word))
+}
+
+export function filterProjects(projects, filters) {
+  const matches = projects.filter((project) =>
+    (!filters.category || project.category === filters.category) &&
+    (!filters.year || String(project.year) === filters.year) &&
+    matchesSearch(project, filters.q),
+  )
+
+  // Array sort is stable, so projects from the same year keep their curated order
+  if (filters.sort === 'newest') return matches.sort((a, b) => b.year - a.year)
+  if (filters.sort === 'oldest') return matches.sort((a, b) => a.year - b.year)
+  return matches
+}
@@ -0,0 +1,84 @@
+// Visitor settings remembered in localStorage, shared by the motion, theme
+// and consent stores. Each is a module-level value with listeners, read by
+// components through useSyncExternalStore.
+
+// `read` turns the stored string (null when there is none) into the value,
+// and `write` turns a value back into a string, or null to remove the key.
+// `onChange` runs before the listeners on every change.
+export function createPreferenceStore({ key, read, write, onChange = () => {} }) {
+  const listeners = new Set()
+
+  const load = () => {
+    try {
+      return read(localStorage.getItem(key))
+    } catch {
+      return read(null)
+    }
+  }
+
+  let value = load()
+
+  const notify = () => {
+    onChange()
+    listeners.forEach((listener) => listener())
+  }
+
+  const set = (next) => {
+    value = next
+    try {
+      const stored = write(value)
+      if (stored === null) localStorage.removeItem(key)
+      else localStorage.setItem(key, stored)
+    } catch {
+      // Private mode or storage disabled: the choice lasts for this visit
+    }
+    notify()
+  }
+
+  const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  }
+
+  return { get: () => value, set, notify, subscribe }
+}
+
+// A two-way setting that follows an OS media query ('system') until the
+// visitor picks one of `choices`. `system(matches)` is the choice the query
+// implies; the effective choice is mirrored onto <html data-<attribute>>.
+export function createSystemPreference({ key, choices, query, system, attribute }) {
+  const preferences = ['system', ...choices]
+  const media = window.matchMedia(query)
+  const systemChoice = () => system(media.matches)
+
+  const store = createPreferenceStore({
+    key,
+    read: (stored) => (preferences.includes(stored) ? stored : 'system'),
+    write: (preference) => (preference === 'system' ? null : preference),
+    onChange: () => {
+      document.documentElement.dataset[attribute] = current()
+    },
+  })
+
+  const current = () => (store.get() === 'system' ? systemChoice() : store.get())
+
+  const set = (preference) => store.set(preferences.includes(preference) ? preference : 'system')
+
+  return {
+    getPreference: store.get,
+    get: current,
+    set,
+    subscribe: store.subscribe,
+    // Switches to the other choice. Landing back on what the OS asks for
+    // clears the stored choice, so the site follows the OS again.
+    toggle() {
+      const next = choices.find((choice) => choice !== current())
+      set(next === systemChoice() ? 'system' : next)
+    },
+    // Call once before rendering so the first paint has the attribute
+    start() {
+      media.addEventListener('change', store.notify)
+      store.notify()
+    },
+  }
+}
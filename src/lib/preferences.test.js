@@ -0,0 +1,94 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createPreferenceStore, createSystemPreference } from './preferences'
+
+// jsdom has no matchMedia; this one answers `matches` and can flip it
+const stubMedia = (matches) => {
+  const media = new EventTarget()
+  media.matches = matches
+  vi.stubGlobal('matchMedia', () => media)
+  return media
+}
+
+const createMotion = () => createSystemPreference({
+  key: 'test:motion',
+  choices: ['reduced', 'full'],
+  query: '(prefers-reduced-motion: reduce)',
+  system: (reduce) => (reduce ? 'reduced' : 'full'),
+  attribute: 'motion',
+})
+
+describe('createPreferenceStore', () => {
+  beforeEach(() => localStorage.clear())
+  afterEach(() => vi.restoreAllMocks())
+
+  it('reads, writes and removes the stored value', () => {
+    localStorage.setItem('test:count', '2')
+    const store = createPreferenceStore({
+      key: 'test:count',
+      read: (stored) => Number(stored ?? 0),
+      write: (count) => (count ? String(count) : null),
+    })
+    const listener = vi.fn()
+    store.subscribe(listener)
+
+    expect(store.get()).toBe(2)
+    store.set(5)
+    expect(localStorage.getItem('test:count')).toBe('5')
+    store.set(0)
+    expect(localStorage.getItem('test:count')).toBeNull()
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+
+  it('falls back to the empty value when the stored one is unreadable', () => {
+    localStorage.setItem('test:json', '{oops')
+    const store = createPreferenceStore({ key: 'test:json', read: (stored) => JSON.parse(stored) ?? {}, write: JSON.stringify })
+    expect(store.get()).toEqual({})
+  })
+
+  it('keeps the choice for the visit when storage is unavailable', () => {
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Storage disabled', 'SecurityError')
+    })
+    const store = createPreferenceStore({ key: 'test:blocked', read: (stored) => stored, write: (value) => value })
+
+    store.set('on')
+    expect(store.get()).toBe('on')
+  })
+})
+
+describe('createSystemPreference', () => {
+  beforeEach(() => localStorage.clear())
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('follows the OS until a choice is made, and mirrors it onto <html>', () => {
+    const media = stubMedia(false)
+    const motion = createMotion()
+    motion.start()
+    expect(motion.get()).toBe('full')
+    expect(document.documentElement.dataset.motion).toBe('full')
+
+    media.matches = true
+    media.dispatchEvent(new Event('change'))
+    expect(document.documentElement.dataset.motion).toBe('reduced')
+  })
+
+  it('stores a toggled choice and clears it when toggled back to the OS one', () => {
+    stubMedia(false)
+    const motion = createMotion()
+
+    motion.toggle()
+    expect(motion.getPreference()).toBe('reduced')
+    expect(localStorage.getItem('test:motion')).toBe('reduced')
+
+    motion.toggle()
+    expect(motion.getPreference()).toBe('system')
+    expect(localStorage.getItem('test:motion')).toBeNull()
+  })
+
+  it('ignores stored values it does not know', () => {
+    stubMedia(true)
+    localStorage.setItem('test:motion', 'sideways')
+    expect(createMotion().get()).toBe('reduced')
+  })
+})
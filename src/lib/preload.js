@@ -0,0 +1,132 @@
+import { useEffect, useSyncExternalStore } from 'react'
+import * as THREE from 'three'
+import { track } from './telemetry'
+
+// Downloads model assets with fetch so progress can be reported in bytes,
+// then hands three.js loaders an object URL for the finished download
+// instead of fetching the file a second time. Once a loader has read it the
+// object URL is revoked, and any later load of the file goes to the network
+// (and the HTTP and service worker caches) again.
+
+const entries = new Map() // url -> { loaded, total, status, objectUrl }
+const listeners = new Set()
+let version = 0
+
+const notify = () => {
+  version++
+  listeners.forEach((listener) => listener())
+}
+
+const manager = THREE.DefaultLoadingManager
+manager.setURLModifier((url) => entries.get(url)?.objectUrl ?? url)
+
+// Loaders report the URL they actually fetched, i.e. the object URL
+const release = (url) => {
+  for (const entry of entries.values()) {
+    if (entry.objectUrl !== url) continue
+    URL.revokeObjectURL(url)
+    entry.objectUrl = null
+  }
+}
+
+const { itemEnd, itemError } = manager
+manager.itemEnd = (url) => {
+  release(url)
+  itemEnd(url)
+}
+manager.itemError = (url) => {
+  release(url)
+  itemError(url)
+}
+
+// Only trust Content-Length when the body isn't compressed in transit: the
+// stream yields decoded bytes, which would overshoot an encoded length
+const expectedBytes = (response) => {
+  const length = Number(response.headers.get('Content-Length'))
+  return length && !response.headers.get('Content-Encoding') ? length : 0
+}
+
+async function download(url, entry) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`${url} responded with ${response.status}`)
+
+  entry.total = expectedBytes(response)
+  const reader = response.body.getReader()
+  const chunks = []
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    entry.loaded += value.byteLength
+    notify()
+  }
+
+  const type = response.headers.get('Content-Type') || ''
+  entry.objectUrl = URL.createObjectURL(new Blob(chunks, { type }))
+  entry.total = entry.loaded
+  entry.status = 'done'
+}
+
+// Starts downloading a URL unless it already is (or has been)
+export function preloadAsset(url) {
+  if (entries.has(url)) return
+  const entry = { loaded: 0, total: 0, status: 'loading', objectUrl: null }
+  entries.set(url, entry)
+  notify()
+
+  download(url, entry)
+    .catch((error) => {
+      entry.status = 'error'
+      track('asset-error', { url, message: error.message })
+    })
+    .finally(notify)
+}
+
+// Byte progress over a set of URLs. `progress` is null until every size is
+// known, so the loader can show an indeterminate state instead of jumping.
+export function summarize(urls) {
+  let loaded = 0
+  let total = 0
+  let sized = true
+  let done = true
+  let failed = false
+
+  for (const url of urls) {
+    const entry = entries.get(url)
+    if (!entry) {
+      sized = false
+      done = false
+      continue
+    }
+    loaded += entry.loaded
+    total += entry.total
+    if (!entry.total) sized = false
+    if (entry.status === 'error') failed = true
+    if (entry.status !== 'done') done = false
+  }
+
+  return {
+    loaded,
+    total,
+    progress: done ? 1 : sized && total ? loaded / total : null,
+    done,
+    failed,
+  }
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Preloads `urls` (memoize the array) and re-renders as bytes arrive
+export function usePreload(urls) {
+  useSyncExternalStore(subscribe, () => version)
+
+  useEffect(() => {
+    urls.forEach(preloadAsset)
+  }, [urls])
+
+  return summarize(urls)
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { preloadAsset, summarize } from './preload'
+import { telemetryHistory } from './telemetry'
+
+// The download state is module-wide, so every test uses its own URLs
+const serve = (routes) => vi.stubGlobal('fetch', vi.fn(async (url) => {
+  const route = routes[url]
+  if (route instanceof Error) throw route
+  return route
+}))
+
+const settled = (urls) => vi.waitFor(() => {
+  const summary = summarize(urls)
+  if (!summary.done && !summary.failed) throw new Error('still downloading')
+})
+
+describe('preloadAsset', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('reports byte progress and hands three.js the finished download', async () => {
+    const url = 'assets/objects/ok.obj'
+    serve({ [url]: new Response('v 0 0 0\n', { headers: { 'Content-Length': '8', 'Content-Type': 'text/plain' } }) })
+
+    preloadAsset(url)
+    await settled([url])
+
+    expect(summarize([url])).toEqual({ loaded: 8, total: 8, progress: 1, done: true, failed: false })
+    expect(THREE.DefaultLoadingManager.resolveURL(url)).toMatch(/^blob:/)
+  })
+
+  it('releases the download once a loader has read it', async () => {
+    const url = 'assets/objects/once.png'
+    serve({ [url]: new Response('png') })
+    const revoke = vi.spyOn(URL, 'revokeObjectURL')
+
+    preloadAsset(url)
+    await settled([url])
+    const objectUrl = THREE.DefaultLoadingManager.resolveURL(url)
+    THREE.DefaultLoadingManager.itemStart(objectUrl)
+    THREE.DefaultLoadingManager.itemEnd(objectUrl)
+
+    expect(revoke).toHaveBeenCalledWith(objectUrl)
+    expect(THREE.DefaultLoadingManager.resolveURL(url)).toBe(url)
+    expect(summarize([url]).done).toBe(true)
+  })
+
+  it('marks the set as failed when a file is missing', async () => {
+    const urls = ['assets/objects/found.png', 'assets/objects/missing.png']
+    serve({
+      [urls[0]]: new Response('png'),
+      [urls[1]]: new Response('Not found', { status: 404 }),
+    })
+
+    urls.forEach(preloadAsset)
+    await settled(urls)
+
+    expect(summarize(urls)).toMatchObject({ done: false, failed: true })
+    expect(telemetryHistory().at(-1)).toMatchObject({
+      name: 'asset-error',
+      url: urls[1],
+      message: 'assets/objects/missing.png responded with 404',
+    })
+    expect(THREE.DefaultLoadingManager.resolveURL(urls[1])).toBe(urls[1])
+  })
+
+  it('marks the set as failed when the network is down', async () => {
+    const url = 'assets/objects/offline.obj'
+    serve({ [url]: new TypeError('Failed to fetch') })
+
+    preloadAsset(url)
+    await settled([url])
+
+    expect(summarize([url]).failed).toBe(true)
+  })
+
+  it('has no progress until every size is known', () => {
+    expect(summarize(['assets/objects/not-started.obj'])).toMatchObject({ progress: null, done: false, failed: false })
+  })
+})
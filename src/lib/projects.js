@@ -0,0 +1,29 @@
+import projects from '../content/projects.json'
+import { localized } from '../locales'
+
+const BASE_URL = import.meta.env.BASE_URL
+
+export { projects }
+
+export function getProject(slug) {
+  return projects.find((project) => project.slug === slug)
+}
+
+// A project with its per-language copy (description, deliverables and
+// credit roles) picked for `locale`
+export function localizeProject(project, locale) {
+  return {
+    ...project,
+    description: localized(project.description, locale),
+    deliverables: project.deliverables?.map((deliverable) => localized(deliverable, locale)),
+    credits: project.credits?.map((credit) => ({ ...credit, role: localized(credit.role, locale) })),
+  }
+}
+
+export function projectPath(project) {
+  return `work/${project.slug}`
+}
+
+export function assetUrl(path) {
+  return /^https?:\/\//.test(path) ? path : BASE_URL + path.replace(/^\/+/, '')
+}
@@ -0,0 +1,61 @@
+// Adaptive render quality for on-demand canvases. Frame times are only
+// meaningful while frames are rendered back to back, so gaps longer than
+// FRAME_GAP_MS (idle time between on-demand renders) reset the sample window.
+
+const FRAME_GAP_MS = 100
+const SAMPLE_SIZE = 30
+const SLOW_FRAME_MS = 1000 / 45
+const FAST_FRAME_MS = 1000 / 57
+const DPR_STEP = 0.25
+const MIN_DPR = 1
+// Quality stops adapting after this many direction changes, so a device
+// hovering around a threshold doesn't keep resizing the canvas
+const MAX_FLIPS = 4
+
+export function createQuality(maxDpr) {
+  const dpr = Math.max(MIN_DPR, Math.min(maxDpr, 2))
+  return { dpr, maxDpr: dpr, antialias: true, samples: [], direction: 0, flips: 0 }
+}
+
+// Records one frame time and returns the next quality: pixel ratio steps
+// down while frames are slow and back up while they are fast; once it is at
+// the minimum and frames are still slow, antialiasing is dropped for good.
+export function recordFrame(quality, deltaMs) {
+  if (deltaMs > FRAME_GAP_MS) return { ...quality, samples: [] }
+
+  const samples = [...quality.samples, deltaMs]
+  if (samples.length < SAMPLE_SIZE) return { ...quality, samples }
+
+  const next = { ...quality, samples: [] }
+  if (quality.flips >= MAX_FLIPS) return next
+
+  const average = samples.reduce((sum, value) => sum + value, 0) / samples.length
+  let direction = 0
+
+  if (average > SLOW_FRAME_MS) {
+    if (quality.dpr > MIN_DPR) {
+      next.dpr = Math.max(MIN_DPR, quality.dpr - DPR_STEP)
+      direction = -1
+    } else if (quality.antialias) {
+      next.antialias = false
+    }
+  } else if (average < FAST_FRAME_MS && quality.dpr < quality.maxDpr) {
+    next.dpr = Math.min(quality.maxDpr, quality.dpr + DPR_STEP)
+    direction = 1
+  }
+
+  if (direction) {
+    if (quality.direction && direction !== quality.direction) next.flips = quality.flips + 1
+    next.direction = direction
+  }
+  return next
+}
+
+// Live counters for the debug overlay. Mutated by the canvas, read on an
+// interval, so updating them never re-renders anything.
+export const frameStats = {
+  renders: 0,
+  dpr: 1,
+  antialias: true,
+  active: true,
+}
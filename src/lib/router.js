@@ -0,0 +1,121 @@
+import { useEffect, useSyncExternalStore } from 'react'
+import { splitLocale, localizePath } from '../locales'
+
+const BASE_URL = import.meta.env.BASE_URL
+
+// Where to scroll once the next route has rendered: a section id, or '' for top
+let pendingScroll = window.location.hash ? window.location.hash.slice(1) : null
+
+// A malformed escape such as '%E0%A4%A' stays as it is, which matches no
+// route and shows the not-found page
+const decodePath = (path) => {
+  try {
+    return decodeURIComponent(path)
+  } catch {
+    return path
+  }
+}
+
+// Current path relative to the deploy base, without surrounding slashes,
+// split into the locale prefix and the route path
+const getLocation = () => {
+  const { pathname } = window.location
+  const relative = pathname.startsWith(BASE_URL) ? pathname.slice(BASE_URL.length) : pathname
+  return splitLocale(decodePath(relative).replace(/^\/+|\/+$/g, ''))
+}
+
+export const getPath = () => getLocation().path
+export const getLocale = () => getLocation().locale
+
+const subscribe = (callback) => {
+  window.addEventListener('popstate', callback)
+  return () => window.removeEventListener('popstate', callback)
+}
+
+const scrollToTarget = (target) => {
+  if (target) {
+    document.getElementById(target)?.scrollIntoView()
+  } else {
+    window.scrollTo({ top: 0, behavior: 'instant' })
+  }
+}
+
+export function usePath() {
+  return useSyncExternalStore(subscribe, getPath)
+}
+
+export function useLocale() {
+  return useSyncExternalStore(subscribe, getLocale)
+}
+
+// The query string, without the leading '?'
+export function useSearch() {
+  return useSyncExternalStore(subscribe, () => window.location.search.slice(1))
+}
+
+// Swaps the query string (and optionally the hash) in place, without adding
+// a history entry, so filters can follow every keystroke
+export function replaceSearch(search, hash = window.location.hash.slice(1)) {
+  const { pathname } = window.location
+  window.history.replaceState(null, '', pathname + (search ? `?${search}` : '') + (hash ? `#${hash}` : ''))
+  window.dispatchEvent(new PopStateEvent('popstate'))
+}
+
+// Accepts 'services', 'work/some-slug', '#contact' or 'about#team', and
+// links within the current locale unless told otherwise
+export function href(to, locale = getLocale()) {
+  const [path, hash] = to.split('#')
+  return BASE_URL + localizePath(path.replace(/^\/+/, ''), locale) + (hash ? `#${hash}` : '')
+}
+
+export function navigate(to) {
+  const [path, hash = ''] = to.split('#')
+  const samePath = path.replace(/^\/+|\/+$/g, '') === getPath()
+
+  // Jumping to a section of the current page keeps its query (e.g. filters)
+  const search = samePath ? window.location.search : ''
+  window.history.pushState(null, '', href(path) + search + (hash ? `#${hash}` : ''))
+
+  if (samePath) {
+    scrollToTarget(hash)
+    return
+  }
+
+  pendingScroll = hash
+  window.dispatchEvent(new PopStateEvent('popstate'))
+}
+
+// The current page in another language, keeping the query and hash
+export function switchLocale(locale) {
+  const { search, hash } = window.location
+  window.history.pushState(null, '', href(getPath(), locale) + search + hash)
+  window.dispatchEvent(new PopStateEvent('popstate'))
+}
+
+// Scrolls to the top, or to the linked section, after a navigation renders.
+// Back/forward navigations are left to the browser's scroll restoration.
+export function useNavigationScroll(path) {
+  useEffect(() => {
+    if (pendingScroll === null) return
+    const target = pendingScroll
+    pendingScroll = null
+    scrollToTarget(target)
+  }, [path])
+}
+
+// Matches a path against patterns like 'work/:slug'; returns params or null
+export function matchRoute(pattern, path) {
+  const patternParts = pattern.split('/').filter(Boolean)
+  const pathParts = path.split('/').filter(Boolean)
+  if (patternParts.length !== pathParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = pathParts[i]
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
@@ -0,0 +1,39 @@
+import { useSyncExternalStore } from 'react'
+import { DEFAULT_LIGHTING } from '../content/lighting'
+
+// Shared rotation ref to avoid re-renders
+export const modelRotationRef = { current: { x: 0, y: 0 } }
+
+// The hero canvas only renders on demand, so whatever moves the model asks it
+// for a frame. CustomModel registers the canvas' invalidate function here.
+let invalidateHero = () => {}
+
+export function registerHeroInvalidate(invalidate) {
+  invalidateHero = invalidate
+  return () => {
+    if (invalidateHero === invalidate) invalidateHero = () => {}
+  }
+}
+
+export const requestHeroFrame = () => invalidateHero()
+
+// What the hero timeline (content/heroTimeline.js) asks of the scroll
+// waypoint the hero model is at: its lighting preset, and whether it is a
+// showcase stop that shows the prop's hotspots
+let heroWaypoint = { lighting: DEFAULT_LIGHTING, showcase: false }
+const waypointListeners = new Set()
+
+export function setHeroWaypoint({ lighting = heroWaypoint.lighting, showcase = heroWaypoint.showcase }) {
+  if (lighting === heroWaypoint.lighting && showcase === heroWaypoint.showcase) return
+  heroWaypoint = { lighting, showcase }
+  waypointListeners.forEach((listener) => listener())
+}
+
+const subscribeHeroWaypoint = (listener) => {
+  waypointListeners.add(listener)
+  return () => waypointListeners.delete(listener)
+}
+
+export function useHeroWaypoint() {
+  return useSyncExternalStore(subscribeHeroWaypoint, () => heroWaypoint)
+}
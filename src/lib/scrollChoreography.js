@@ -0,0 +1,119 @@
+import { resolveTrack, resolveLayout, stepTrack, sectionAnchors } from './scrollTimeline'
+
+// Reads the page into the geometry the timeline math works on. Section
+// rects are stored in document coordinates.
+export function measureGeometry(selectors) {
+  const scrollY = window.scrollY
+  const viewportWidth = window.innerWidth
+  const viewportHeight = window.innerHeight
+  const sections = {}
+
+  for (const selector of selectors) {
+    const element = document.querySelector(selector)
+    if (!element) continue
+    const rect = element.getBoundingClientRect()
+    sections[selector] = { top: rect.top + scrollY, bottom: rect.bottom + scrollY }
+  }
+
+  return {
+    viewportWidth,
+    viewportHeight,
+    maxScroll: document.documentElement.scrollHeight - viewportHeight,
+    sections,
+  }
+}
+
+const matchesMedia = (query) => window.matchMedia(query).matches
+
+// Drives every track of a timeline from the window scroll position.
+// `targets` maps each track's target name to a function applying its values.
+// The loop only runs while something is moving: scrolling, resizing or a
+// track still easing towards its target wakes it, and it stops once every
+// track has converged or the tab is hidden. `matches` decides which layout
+// applies; call `refresh` when something it depends on changes.
+export function startChoreography(timeline, targets, { matches = matchesMedia } = {}) {
+  const selectors = sectionAnchors(timeline)
+  const states = {}
+  let layout = null
+  let tracks = []
+  let dirty = true
+  let rafId = null
+
+  const measure = () => {
+    const next = resolveLayout(timeline, matches)
+    if (next.media !== layout?.media) {
+      // Keep the current values so the model glides into the new layout
+      for (const state of Object.values(states)) state.settled = false
+    }
+    layout = next
+
+    const geometry = measureGeometry(selectors)
+    tracks = layout.tracks.map((track) => ({
+      target: track.target,
+      keyframes: resolveTrack(track, layout, geometry),
+    }))
+    dirty = false
+  }
+
+  const animate = () => {
+    rafId = null
+    if (dirty) measure()
+
+    const scrollY = window.scrollY
+    let moving = false
+    for (const { target, keyframes } of tracks) {
+      if (!keyframes.length) continue
+      const state = states[target] || { values: {}, segment: null, settled: false }
+      states[target] = stepTrack(state, keyframes, scrollY)
+      targets[target]?.(states[target].values)
+      if (!states[target].converged) moving = true
+    }
+
+    if (moving) wake()
+  }
+
+  const wake = () => {
+    if (rafId === null && document.visibilityState === 'visible') {
+      rafId = requestAnimationFrame(animate)
+    }
+  }
+
+  // Geometry is re-read lazily on the next frame, so a burst of resize
+  // events costs one layout read
+  const refresh = () => {
+    dirty = true
+    wake()
+  }
+
+  const handleVisibility = () => {
+    if (document.visibilityState === 'visible') {
+      wake()
+    } else if (rafId !== null) {
+      cancelAnimationFrame(rafId)
+      rafId = null
+    }
+  }
+
+  // Content height changes (images and video thumbnails loading, route
+  // changes) move every fractional and section anchor
+  const resizeObserver = new ResizeObserver(refresh)
+  resizeObserver.observe(document.body)
+  window.addEventListener('scroll', wake, { passive: true })
+  window.addEventListener('resize', refresh)
+  window.addEventListener('orientationchange', refresh)
+  document.addEventListener('visibilitychange', handleVisibility)
+
+  wake()
+
+  return {
+    refresh,
+    stop: () => {
+      if (rafId !== null) cancelAnimationFrame(rafId)
+      resizeObserver.disconnect()
+      window.removeEventListener('scroll', wake)
+      window.removeEventListener('resize', refresh)
+      window.removeEventListener('orientationchange', refresh)
+      document.removeEventListener('visibilitychange', handleVisibility)
+    },
+  }
+}
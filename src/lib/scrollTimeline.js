@@ -0,0 +1,187 @@
+// Scroll timeline math. Everything here is pure: the DOM runtime in
+// scrollChoreography.js measures the page into a `geometry` object and feeds
+// it in, so timelines can be evaluated (and tested) without a browser.
+//
+// A timeline has one track per choreographed object. Each keyframe sets
+// property values at an anchor:
+//   0.25                          fraction of the timeline's range
+//   { px: 150 }                   absolute scroll position
+//   { section: '#services', edge: 'enter' | 'top' | 'center' | 'leave', offset }
+//                                 when a section reaches that point of the viewport
+// Values can be numbers or functions of the geometry. Anything else, such as
+// a lighting preset name, doesn't blend: it holds from its keyframe until the
+// next one and switches there. `ease` picks the curve
+// for the segment that starts at the keyframe, `smoothing` the per-frame
+// follow factors while in it, and `settle` lets the object lock onto the
+// target once the listed properties are within tolerance.
+//
+// `layouts` holds alternative choreographies for other screen shapes or
+// preferences, each with a media query (or a list of queries that must all
+// match) and its own tracks (and optionally range, ease and smoothing). The
+// first matching layout replaces the defaults.
+
+export const easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutBack: (t) => {
+    const c1 = 1.70158
+    const c3 = c1 + 1
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2)
+  },
+}
+
+const RESERVED = new Set(['at', 'ease', 'smoothing', 'settle'])
+
+const resolveEase = (ease) => (typeof ease === 'function' ? ease : easings[ease] || easings.easeInOutQuad)
+
+// Scroll position (px) where a section edge meets the viewport, or null when
+// the section isn't on the current page
+const resolveSection = ({ section, edge = 'top', offset = 0 }, geometry) => {
+  const rect = geometry.sections?.[section]
+  if (!rect) return null
+
+  const vh = geometry.viewportHeight
+  const positions = {
+    enter: rect.top - vh,
+    top: rect.top,
+    center: rect.top + (rect.bottom - rect.top) / 2 - vh / 2,
+    leave: rect.bottom,
+  }
+  return positions[edge] + offset
+}
+
+// The scroll span that fractional anchors are measured against. Its own
+// bounds may be fractions of the whole page.
+export function resolveRange(range = {}, geometry) {
+  const page = { start: 0, end: geometry.maxScroll }
+  const start = range.start === undefined ? 0 : resolveAnchor(range.start, geometry, page)
+  const end = range.end === undefined || range.end === 'end'
+    ? geometry.maxScroll
+    : resolveAnchor(range.end, geometry, page)
+  return { start: start ?? 0, end: end ?? geometry.maxScroll }
+}
+
+export function resolveAnchor(anchor, geometry, range) {
+  if (typeof anchor === 'number') {
+    return range.start + (range.end - range.start) * anchor
+  }
+  if (anchor.px !== undefined) return anchor.px
+  if (anchor.section) return resolveSection(anchor, geometry)
+  throw new Error(`Unknown timeline anchor ${JSON.stringify(anchor)}`)
+}
+
+// Turns a track's keyframes into { scroll, values, ease, smoothing, settle }
+// sorted by scroll position. Keyframes anchored to missing sections are dropped.
+export function resolveTrack(track, timeline, geometry) {
+  const range = resolveRange(timeline.range, geometry)
+
+  return track.keyframes
+    .map((keyframe) => {
+      const scroll = resolveAnchor(keyframe.at, geometry, range)
+      if (scroll === null) return null
+
+      const values = {}
+      for (const [key, value] of Object.entries(keyframe)) {
+        if (RESERVED.has(key)) continue
+        values[key] = typeof value === 'function' ? value(geometry) : value
+      }
+
+      return {
+        scroll,
+        values,
+        ease: resolveEase(keyframe.ease ?? track.ease ?? timeline.ease),
+        smoothing: { ...timeline.smoothing, ...track.smoothing, ...keyframe.smoothing },
+        settle: keyframe.settle ?? null,
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.scroll - b.scroll)
+}
+
+// Target values at a scroll position, and the index of the segment it's in
+// (-1 before the first keyframe, last index after the final one)
+export function sampleTrack(keyframes, scroll) {
+  const last = keyframes.length - 1
+  if (scroll < keyframes[0].scroll) return { values: keyframes[0].values, segment: -1 }
+  if (scroll >= keyframes[last].scroll) return { values: keyframes[last].values, segment: last }
+
+  let i = 0
+  while (scroll >= keyframes[i + 1].scroll) i++
+
+  const from = keyframes[i]
+  const to = keyframes[i + 1]
+  const span = to.scroll - from.scroll
+  if (span <= 0) return { values: to.values, segment: i }
+
+  const t = from.ease((scroll - from.scroll) / span)
+  const values = {}
+  for (const [key, start] of Object.entries(from.values)) {
+    const end = to.values[key] ?? start
+    values[key] = typeof start === 'number' ? start + (end - start) * t : start
+  }
+  return { values, segment: i }
+}
+
+const lerp = (start, end, factor) => start + (end - start) * factor
+
+const within = (value, target, tolerance) =>
+  typeof target === 'number' ? Math.abs(value - target) < tolerance : value === target
+
+// How close every value must be to its target for a track to count as at rest
+const REST_EPSILON = 1e-3
+
+// Advances one frame: follows the sampled target with the segment's
+// smoothing factors. Returns the next { values, segment, settled, converged }
+// state; `converged` means another frame at this scroll position would not
+// visibly move anything.
+export function stepTrack(state, keyframes, scroll) {
+  const { values: target, segment } = sampleTrack(keyframes, scroll)
+  const keyframe = keyframes[Math.max(segment, 0)]
+  const settled = segment === state.segment && state.settled
+
+  if (settled) {
+    return { values: { ...target }, segment, settled: true, converged: true }
+  }
+
+  const values = {}
+  for (const [key, value] of Object.entries(target)) {
+    const current = state.values[key] ?? value
+    values[key] = typeof value === 'number' ? lerp(current, value, keyframe.smoothing[key] ?? 1) : value
+  }
+
+  const nowSettled = Boolean(keyframe.settle) && Object.entries(keyframe.settle)
+    .every(([key, tolerance]) => within(values[key], target[key], tolerance))
+
+  const converged = Object.keys(target).every((key) => within(values[key], target[key], REST_EPSILON))
+
+  return { values, segment, settled: nowSettled, converged }
+}
+
+// The timeline to run given a media query matcher, e.g. window.matchMedia
+export function resolveLayout(timeline, matches) {
+  const { layouts = [], ...defaults } = timeline
+  const layout = layouts.find((candidate) => [].concat(candidate.media).every(matches))
+  if (!layout) return { ...defaults, media: null }
+
+  const { media, ...overrides } = layout
+  return { ...defaults, ...overrides, media }
+}
+
+// Every section selector referenced by a timeline, so the runtime knows what to measure
+export function sectionAnchors(timeline) {
+  const selectors = new Set()
+  const collect = (anchor) => {
+    if (anchor && typeof anchor === 'object' && anchor.section) selectors.add(anchor.section)
+  }
+  for (const variant of [timeline, ...(timeline.layouts || [])]) {
+    collect(variant.range?.start)
+    collect(variant.range?.end)
+    for (const track of variant.tracks || []) {
+      track.keyframes.forEach((keyframe) => collect(keyframe.at))
+    }
+  }
+  return [...selectors]
+}
@@ -0,0 +1,171 @@
+import { describe, expect, it } from 'vitest'
+import {
+  resolveAnchor,
+  resolveLayout,
+  resolveRange,
+  resolveTrack,
+  sampleTrack,
+  sectionAnchors,
+  stepTrack,
+} from './scrollTimeline'
+
+const geometry = {
+  maxScroll: 2000,
+  viewportHeight: 800,
+  sections: {
+    '#services': { top: 1000, bottom: 1600 },
+  },
+}
+
+const track = (keyframes, extra = {}) => ({ keyframes, ...extra })
+
+describe('resolveAnchor', () => {
+  const range = { start: 0, end: 2000 }
+
+  it('measures fractions against the range', () => {
+    expect(resolveAnchor(0.25, geometry, range)).toBe(500)
+    expect(resolveAnchor(0.5, geometry, { start: 1000, end: 2000 })).toBe(1500)
+  })
+
+  it('takes absolute positions as they are', () => {
+    expect(resolveAnchor({ px: 150 }, geometry, range)).toBe(150)
+  })
+
+  it('finds each edge of a section', () => {
+    const at = (edge, offset) => resolveAnchor({ section: '#services', edge, offset }, geometry, range)
+    expect(at('enter')).toBe(200)
+    expect(at('top')).toBe(1000)
+    expect(at('center')).toBe(900)
+    expect(at('leave')).toBe(1600)
+    expect(at('top', -100)).toBe(900)
+  })
+
+  it('returns null for a section that is not on the page', () => {
+    expect(resolveAnchor({ section: '#missing' }, geometry, range)).toBeNull()
+  })
+
+  it('rejects anchors it does not understand', () => {
+    expect(() => resolveAnchor({ at: 3 }, geometry, range)).toThrow(/Unknown timeline anchor/)
+  })
+})
+
+describe('resolveRange', () => {
+  it('defaults to the whole page', () => {
+    expect(resolveRange(undefined, geometry)).toEqual({ start: 0, end: 2000 })
+  })
+
+  it('falls back to the page bounds when a section is missing', () => {
+    expect(resolveRange({ start: { section: '#missing' }, end: { px: 1200 } }, geometry)).toEqual({ start: 0, end: 1200 })
+  })
+})
+
+describe('resolveTrack', () => {
+  it('sorts keyframes, drops missing sections and evaluates function values', () => {
+    const keyframes = resolveTrack(track([
+      { at: 1, x: 2 },
+      { at: { section: '#missing' }, x: 9 },
+      { at: { px: 0 }, x: (g) => g.viewportHeight / 800 },
+    ]), {}, geometry)
+
+    expect(keyframes.map((keyframe) => [keyframe.scroll, keyframe.values.x])).toEqual([[0, 1], [2000, 2]])
+  })
+
+  it('takes the ease and smoothing from the keyframe, then the track, then the timeline', () => {
+    const [first, second] = resolveTrack(
+      track([{ at: 0, x: 0, ease: 'linear', smoothing: { x: 0.5 } }, { at: 1, x: 1 }], { smoothing: { y: 0.2 } }),
+      { ease: 'easeOutQuad', smoothing: { x: 0.1 } },
+      geometry,
+    )
+    expect(first.ease(0.5)).toBe(0.5)
+    expect(first.smoothing).toEqual({ x: 0.5, y: 0.2 })
+    expect(second.ease(0.5)).toBe(0.75)
+    expect(second.smoothing).toEqual({ x: 0.1, y: 0.2 })
+  })
+})
+
+describe('sampleTrack', () => {
+  const keyframes = resolveTrack(track([
+    { at: { px: 100 }, x: 0, lighting: 'studio' },
+    { at: { px: 300 }, x: 10, lighting: 'sunset' },
+    { at: { px: 500 }, x: 20, lighting: 'night' },
+  ], { ease: 'linear' }), {}, geometry)
+
+  it('interpolates numbers along the eased segment', () => {
+    expect(sampleTrack(keyframes, 200)).toEqual({ values: { x: 5, lighting: 'studio' }, segment: 0 })
+    expect(sampleTrack(keyframes, 450).values.x).toBe(17.5)
+  })
+
+  it('clamps to the first keyframe before it starts', () => {
+    expect(sampleTrack(keyframes, 0)).toEqual({ values: { x: 0, lighting: 'studio' }, segment: -1 })
+  })
+
+  it('clamps to the last keyframe once past it', () => {
+    expect(sampleTrack(keyframes, 500)).toEqual({ values: { x: 20, lighting: 'night' }, segment: 2 })
+    expect(sampleTrack(keyframes, 5000)).toEqual({ values: { x: 20, lighting: 'night' }, segment: 2 })
+  })
+
+  it('holds values that do not blend until the next keyframe', () => {
+    expect(sampleTrack(keyframes, 299).values.lighting).toBe('studio')
+    expect(sampleTrack(keyframes, 300).values.lighting).toBe('sunset')
+  })
+
+  it('reports the segment that holds the scroll position', () => {
+    expect([100, 299, 300, 499].map((scroll) => sampleTrack(keyframes, scroll).segment)).toEqual([0, 0, 1, 1])
+  })
+
+  it('jumps straight to the later keyframe when two share a position', () => {
+    const stacked = resolveTrack(track([{ at: { px: 100 }, x: 0 }, { at: { px: 100 }, x: 4 }, { at: { px: 200 }, x: 8 }]), {}, geometry)
+    expect(sampleTrack(stacked, 100).values.x).toBe(4)
+  })
+})
+
+describe('stepTrack', () => {
+  const keyframes = resolveTrack(track([
+    { at: { px: 0 }, x: 0, smoothing: { x: 0.5 }, settle: { x: 0.5 } },
+    { at: { px: 100 }, x: 10 },
+  ]), {}, geometry)
+
+  it('follows the target by the smoothing factor', () => {
+    const state = stepTrack({ values: { x: 4 }, segment: 0, settled: false }, keyframes, 0)
+    expect(state.values.x).toBe(2)
+    expect(state.converged).toBe(false)
+  })
+
+  it('settles once within tolerance and then locks on', () => {
+    const near = stepTrack({ values: { x: 0.6 }, segment: 0, settled: false }, keyframes, 0)
+    expect(near.settled).toBe(true)
+    const locked = stepTrack(near, keyframes, 0)
+    expect(locked).toMatchObject({ values: { x: 0 }, settled: true, converged: true })
+  })
+})
+
+describe('resolveLayout', () => {
+  const timeline = {
+    ease: 'linear',
+    tracks: ['desktop'],
+    layouts: [
+      { media: ['(max-width: 768px)', '(orientation: portrait)'], tracks: ['portrait phone'] },
+      { media: '(max-width: 768px)', tracks: ['phone'] },
+    ],
+  }
+
+  it('uses the first layout whose queries all match', () => {
+    const matches = (query) => query === '(max-width: 768px)'
+    expect(resolveLayout(timeline, matches)).toEqual({ ease: 'linear', tracks: ['phone'], media: '(max-width: 768px)' })
+  })
+
+  it('keeps the defaults when no layout matches', () => {
+    expect(resolveLayout(timeline, () => false)).toEqual({ ease: 'linear', tracks: ['desktop'], media: null })
+  })
+})
+
+describe('sectionAnchors', () => {
+  it('lists every section used by the range, keyframes and layouts once', () => {
+    const timeline = {
+      range: { start: { section: '#hero' } },
+      tracks: [track([{ at: 0 }, { at: { section: '#services' } }])],
+      layouts: [{ media: 'print', tracks: [track([{ at: { section: '#services', edge: 'leave' } }, { at: { section: '#contact' } }])] }],
+    }
+    expect(sectionAnchors(timeline)).toEqual(['#hero', '#services', '#contact'])
+  })
+})
@@ -0,0 +1,13 @@
+const BASE_URL = import.meta.env.BASE_URL
+
+// Registers public/sw.js in production builds. The dev server serves fresh
+// files on every request, so caching there would only get in the way.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${BASE_URL}sw.js`, { scope: BASE_URL }).catch(() => {
+      // Caching is an optimisation; the site works the same without it
+    })
+  })
+}
@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react'
+import stats from '../content/stats.json'
+import clients from '../content/clients.json'
+import { projects } from './projects'
+
+const COUNT_DURATION = 1600
+
+// Brand names match regardless of case and surrounding space. A client
+// linked to a case study that names its client is the brand of that
+// project, so "ACME" and "Acme Films" count once.
+const brandKey = (name) => name.trim().toLowerCase()
+
+const projectClient = (client) => projects.find((project) => project.slug === client.project)?.client
+
+const sources = {
+  projects: () => projects.length,
+  brands: () => new Set([
+    ...projects.map((project) => project.client).filter(Boolean),
+    ...clients.filter((client) => !projectClient(client)).map((client) => client.name),
+  ].map(brandKey)).size,
+}
+
+// stats.json with every figure resolved to a number
+export function getStats() {
+  return stats.map((stat) => ({ ...stat, value: stat.source ? sources[stat.source]() : stat.value }))
+}
+
+const decimalsOf = (value) => String(value).split('.')[1]?.length ?? 0
+
+// '1 500+' in Czech, '1,500+' in English. Intermediate counts keep the
+// final value's decimals so the figure doesn't change width mid-count.
+export function formatStat(stat, value, locale) {
+  const decimals = decimalsOf(stat.value)
+  const number = new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value)
+  return `${stat.prefix ?? ''}${number}${stat.suffix ?? ''}`
+}
+
+const easeOutCubic = (t) => 1 - (1 - t) ** 3
+
+// Counts from 0 up to `target` once `active` turns true, easing out over
+// COUNT_DURATION ms. With `instant` it shows the target straight away.
+export function useCountUp(target, active, instant) {
+  const [value, setValue] = useState(0)
+
+  useEffect(() => {
+    if (instant || !active) return
+
+    let rafId
+    const start = performance.now()
+    const step = (now) => {
+      const progress = Math.min((now - start) / COUNT_DURATION, 1)
+      setValue(target * easeOutCubic(progress))
+      if (progress < 1) rafId = requestAnimationFrame(step)
+    }
+    rafId = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(rafId)
+  }, [target, active, instant])
+
+  return instant ? target : value
+}
+
+// Turns true the first time the element is at least half on screen, and
+// stays true
+export function useSeenOnce(ref) {
+  const [seen, setSeen] = useState(false)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element || seen) return
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setSeen(true)
+    }, { threshold: 0.5 })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [ref, seen])
+
+  return seen
+}
@@ -0,0 +1,23 @@
+// Tiny event hook for diagnostics: which render mode a visitor got, asset
+// failures, lost WebGL contexts. startAnalytics (lib/analytics.js) forwards
+// them to the analytics sink, so they are only sent when analytics are.
+
+const listeners = new Set()
+const history = []
+const HISTORY_LIMIT = 50
+
+export function onTelemetry(listener) {
+  listeners.add(listener)
+  // Replay what happened before the listener was attached
+  history.forEach((event) => listener(event))
+  return () => listeners.delete(listener)
+}
+
+export function track(name, data = {}) {
+  const event = { name, ...data, time: Date.now() }
+  history.push(event)
+  if (history.length > HISTORY_LIMIT) history.shift()
+  listeners.forEach((listener) => listener(event))
+}
+
+export const telemetryHistory = () => [...history]
@@ -0,0 +1,32 @@
+import { useSyncExternalStore } from 'react'
+import { THEMES, THEME_STORAGE_KEY, themes } from '../theme'
+import { createSystemPreference } from './preferences'
+
+// Site-wide colour theme. 'system' follows prefers-color-scheme; 'light' and
+// 'dark' are the visitor's choice from the nav toggle, remembered across
+// visits. The effective theme is mirrored onto <html data-theme="...">,
+// which selects its tokens in the generated theme CSS.
+
+const theme = createSystemPreference({
+  key: THEME_STORAGE_KEY,
+  choices: THEMES,
+  query: '(prefers-color-scheme: light)',
+  system: (light) => (light ? 'light' : 'dark'),
+  attribute: 'theme',
+})
+
+export const getThemePreference = theme.getPreference
+export const getTheme = theme.get
+export const setThemePreference = theme.set
+export const toggleTheme = theme.toggle
+export const subscribeTheme = theme.subscribe
+export const startThemePreference = theme.start
+
+export function useTheme() {
+  return useSyncExternalStore(subscribeTheme, getTheme)
+}
+
+// Light intensities, material tint and inspection colours for 3D scenes
+export function useSceneTheme() {
+  return themes[useTheme()].scene
+}
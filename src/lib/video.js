@@ -0,0 +1,325 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { assetUrl } from './projects'
+import { useHasConsent } from './consent'
+
+// Video providers behind one small interface, so portfolio cards and case
+// studies don't care where a film is hosted:
+//   youtube  embedded from youtube-nocookie.com
+//   vimeo    embedded with Vimeo's do-not-track flag
+//   file     self-hosted MP4 or HLS in a native <video>
+// Nothing from a provider loads until the visitor presses play; until then
+// only the thumbnail is shown. Third-party providers name the consent
+// category (lib/consent.js) their player and hosted thumbnails need, and the
+// `host` to name in the placeholder shown without it. Embedded players are
+// driven with postMessage addressed to, and only accepted from, the
+// provider's own origin.
+
+const YOUTUBE_ORIGIN = 'https://www.youtube-nocookie.com'
+const VIMEO_ORIGIN = 'https://player.vimeo.com'
+const HLS_TYPE = 'application/vnd.apple.mpegurl'
+
+const query = (params) => new URLSearchParams(params).toString()
+
+const parseMessage = (data) => {
+  if (typeof data !== 'string') return data
+  try {
+    return JSON.parse(data)
+  } catch {
+    return null
+  }
+}
+
+// YouTube's playerState codes: 1 playing, 3 buffering
+const YOUTUBE_PLAYING = [1, 3]
+
+const youtubeCommands = {
+  play: () => ['playVideo'],
+  pause: () => ['pauseVideo'],
+  seek: (seconds) => ['seekTo', [seconds, true]],
+  mute: () => ['mute'],
+  unmute: () => ['unMute'],
+}
+
+const vimeoCommands = {
+  play: () => ({ method: 'play' }),
+  pause: () => ({ method: 'pause' }),
+  seek: (seconds) => ({ method: 'setCurrentTime', value: seconds }),
+  mute: () => ({ method: 'setMuted', value: true }),
+  unmute: () => ({ method: 'setMuted', value: false }),
+}
+
+const VIMEO_EVENTS = ['play', 'pause', 'ended', 'timeupdate']
+
+export const videoProviders = {
+  youtube: {
+    host: 'YouTube',
+    consent: 'media',
+    hostedThumbnail: true,
+    origin: YOUTUBE_ORIGIN,
+    embedUrl: (video, pageOrigin) => `${YOUTUBE_ORIGIN}/embed/${encodeURIComponent(video.id)}?${query({
+      autoplay: 1,
+      enablejsapi: 1,
+      origin: pageOrigin,
+      playsinline: 1,
+      rel: 0,
+    })}`,
+    thumbnail: (video) => `https://i.ytimg.com/vi/${video.id}/${video.thumbQuality || 'maxresdefault'}.jpg`,
+    // YouTube only posts state once the page says it is listening
+    onLoad: () => [{ event: 'listening', id: 1, channel: 'widget' }],
+    onReady: () => [],
+    command: (name, value) => {
+      const [func, args = []] = youtubeCommands[name](value)
+      return { event: 'command', func, args }
+    },
+    parse(data) {
+      const message = parseMessage(data)
+      if (message?.event === 'onReady') return { ready: true }
+      if (message?.event === 'onStateChange') return { playing: YOUTUBE_PLAYING.includes(message.info) }
+      if (message?.event !== 'infoDelivery' || !message.info) return null
+
+      const { playerState, currentTime, muted } = message.info
+      const update = {}
+      if (playerState !== undefined) update.playing = YOUTUBE_PLAYING.includes(playerState)
+      if (currentTime !== undefined) update.currentTime = currentTime
+      if (muted !== undefined) update.muted = muted
+      return update
+    },
+  },
+  vimeo: {
+    host: 'Vimeo',
+    consent: 'media',
+    origin: VIMEO_ORIGIN,
+    embedUrl: (video) => `${VIMEO_ORIGIN}/video/${encodeURIComponent(video.id)}?${query({
+      autoplay: 1,
+      dnt: 1,
+      playsinline: 1,
+    })}`,
+    thumbnail: (video) => assetUrl(video.poster),
+    onLoad: () => [],
+    // Vimeo wants a subscription per event, sent after it reports ready
+    onReady: () => VIMEO_EVENTS.map((value) => ({ method: 'addEventListener', value })),
+    command: (name, value) => vimeoCommands[name](value),
+    parse(data) {
+      const message = parseMessage(data)
+      switch (message?.event) {
+        case 'ready': return { ready: true }
+        case 'play': return { playing: true }
+        case 'pause':
+        case 'ended': return { playing: false }
+        case 'timeupdate': return { currentTime: message.data?.seconds ?? 0 }
+        default: return null
+      }
+    },
+  },
+  file: {
+    native: true,
+    thumbnail: (video) => assetUrl(video.poster),
+  },
+}
+
+export const videoThumbnail = (video) => videoProviders[video.provider].thumbnail(video)
+
+// The thumbnail to show now: one the provider hosts waits for consent, with
+// `fallback` (a local image, or nothing) in its place. `video` may be absent.
+export function useVideoThumbnail(video, fallback) {
+  const provider = video && videoProviders[video.provider]
+  const allowed = useHasConsent(provider?.consent)
+  if (!provider || (provider.hostedThumbnail && !allowed)) return fallback
+  return videoThumbnail(video)
+}
+
+export const videoEmbedUrl = (video, pageOrigin = window.location.origin) =>
+  videoProviders[video.provider].embedUrl(video, pageOrigin)
+
+// The first source the browser plays natively. HLS only plays natively in
+// Safari, so elsewhere a playlist is skipped in favour of the next source.
+const playableSource = (video, element) => video.sources.find(({ type }) => element.canPlayType(type))
+
+const playNative = (video, element) => {
+  const source = playableSource(video, element)
+  if (!source) throw new Error('None of the video sources can play in this browser')
+  element.src = assetUrl(source.src)
+}
+
+// Streams an HLS playlist through hls.js. A fatal network or media error
+// destroys it and plays the next playable source instead, calling
+// `onFallback`, or `onError` when there is none. Returns a function that
+// stops the stream.
+function streamPlaylist(Hls, playlist, video, element, { onFallback, onError }) {
+  let hls = new Hls()
+  const stop = () => {
+    hls?.destroy()
+    hls = null
+  }
+
+  hls.on(Hls.Events.ERROR, (_event, data) => {
+    if (!data.fatal) return
+    console.warn(`HLS stream failed (${data.details}), trying the other sources`)
+    stop()
+    try {
+      playNative(video, element)
+      onFallback()
+      nativeCommands.play(element)
+    } catch (err) {
+      onError(err)
+    }
+  })
+  hls.loadSource(assetUrl(playlist.src))
+  hls.attachMedia(element)
+  return stop
+}
+
+// Points a <video> at the best source. Where HLS isn't native, the playlist
+// streams through hls.js, which is only downloaded when a film needs it;
+// without Media Source Extensions, or when hls.js fails to download or the
+// stream fails, the next playable source (e.g. an MP4) is used instead.
+// Resolves to a function that stops playback from the source; rejects when
+// nothing can play.
+async function loadSources(video, element, callbacks) {
+  const playlist = video.sources.find(({ type }) => type === HLS_TYPE)
+  if (playlist && !element.canPlayType(HLS_TYPE)) {
+    try {
+      const { default: Hls } = await import('hls.js')
+      if (Hls.isSupported()) return streamPlaylist(Hls, playlist, video, element, callbacks)
+    } catch (err) {
+      // Offline, or a newer deploy removed the chunk
+      console.warn('Could not load hls.js, trying the other sources:', err)
+    }
+  }
+
+  playNative(video, element)
+  return () => {}
+}
+
+const nativeCommands = {
+  play: (element) => element.play().catch(() => {}),
+  pause: (element) => element.pause(),
+  seek: (element, seconds) => {
+    element.currentTime = seconds
+  },
+  mute: (element) => {
+    element.muted = true
+  },
+  unmute: (element) => {
+    element.muted = false
+  },
+}
+
+const initialState = { ready: false, playing: false, muted: false, currentTime: 0, error: false }
+const HANDSHAKE_INTERVAL = 250
+const HANDSHAKE_ATTEMPTS = 20
+
+// Connects to the player rendered for `video` (an iframe or a <video>, via
+// the returned `elementRef`) and exposes its state plus play/pause, seek and
+// mute controls that work the same for every provider. `state.error` is set
+// when a native player has nothing (left) it can play.
+export function useVideoPlayer(video) {
+  const provider = videoProviders[video.provider]
+  const elementRef = useRef(null)
+  const stateRef = useRef(initialState)
+  const [state, setState] = useState(initialState)
+
+  const update = useCallback((changes) => {
+    stateRef.current = { ...stateRef.current, ...changes }
+    setState(stateRef.current)
+  }, [])
+
+  const send = useCallback((name, value) => {
+    const element = elementRef.current
+    if (!element) return
+    if (provider.native) {
+      nativeCommands[name](element, value)
+    } else {
+      element.contentWindow?.postMessage(JSON.stringify(provider.command(name, value)), provider.origin)
+    }
+  }, [provider])
+
+  useEffect(() => {
+    const element = elementRef.current
+    if (!element || provider.native) return
+
+    const post = (message) => element.contentWindow?.postMessage(JSON.stringify(message), provider.origin)
+    let handshake = null
+    const stopHandshake = () => clearInterval(handshake)
+
+    // The player script may not be listening the moment the frame loads,
+    // so keep greeting it until it answers
+    const handleLoad = () => {
+      let attempts = 0
+      stopHandshake()
+      handshake = setInterval(() => {
+        if (++attempts > HANDSHAKE_ATTEMPTS) stopHandshake()
+        provider.onLoad().forEach(post)
+      }, HANDSHAKE_INTERVAL)
+    }
+    const handleMessage = (event) => {
+      // Ignore anything that isn't this player talking from its own origin
+      if (event.origin !== provider.origin || event.source !== element.contentWindow) return
+      const changes = provider.parse(event.data)
+      if (!changes) return
+      stopHandshake()
+      if (changes.ready) provider.onReady().forEach(post)
+      update(changes)
+    }
+
+    element.addEventListener('load', handleLoad)
+    window.addEventListener('message', handleMessage)
+    return () => {
+      stopHandshake()
+      element.removeEventListener('load', handleLoad)
+      window.removeEventListener('message', handleMessage)
+    }
+  }, [provider, update])
+
+  useEffect(() => {
+    const element = elementRef.current
+    if (!element || !provider.native) return
+
+    let stopSources = null
+    let cancelled = false
+    const giveUp = (err) => {
+      if (cancelled) return
+      console.warn(err.message)
+      update({ error: true })
+    }
+    // A failed stream may have errored the element before falling back
+    const onFallback = () => update({ error: false })
+
+    loadSources(video, element, { onFallback, onError: giveUp }).then((stop) => {
+      if (cancelled) return stop()
+      stopSources = stop
+      // Opened by a click on play, so start straight away
+      nativeCommands.play(element)
+    }).catch(giveUp)
+
+    const sync = () => update({
+      ready: element.readyState > 0,
+      playing: !element.paused,
+      muted: element.muted,
+      currentTime: element.currentTime,
+    })
+    const fail = () => update({ error: true })
+    const events = ['loadedmetadata', 'play', 'pause', 'ended', 'timeupdate', 'volumechange']
+    events.forEach((name) => element.addEventListener(name, sync))
+    element.addEventListener('error', fail)
+    return () => {
+      cancelled = true
+      stopSources?.()
+      events.forEach((name) => element.removeEventListener(name, sync))
+      element.removeEventListener('error', fail)
+    }
+  }, [video, provider, update])
+
+  const controls = {
+    toggle: () => send(stateRef.current.playing ? 'pause' : 'play'),
+    seekBy: (seconds) => send('seek', Math.max(0, stateRef.current.currentTime + seconds)),
+    toggleMute: () => {
+      const muted = !stateRef.current.muted
+      send(muted ? 'mute' : 'unmute')
+      // Embeds don't always echo mute changes back, so record it here
+      update({ muted })
+    },
+  }
+
+  return { elementRef, state, ...controls }
+}
@@ -0,0 +1,112 @@
+// @vitest-environment jsdom
+import { createElement } from 'react'
+import { act, cleanup, render } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { useVideoPlayer } from './video'
+
+const HLS_TYPE = 'application/vnd.apple.mpegurl'
+
+// hls.js stand-in that records its instances so tests can raise errors
+const streams = vi.hoisted(() => [])
+
+vi.mock('hls.js', () => {
+  class Hls {
+    static Events = { ERROR: 'hlsError' }
+    static isSupported = () => true
+
+    constructor() {
+      this.handlers = {}
+      this.destroy = vi.fn()
+      streams.push(this)
+    }
+
+    on(event, handler) {
+      this.handlers[event] = handler
+    }
+
+    loadSource(src) {
+      this.src = src
+    }
+
+    attachMedia(media) {
+      this.media = media
+    }
+  }
+  return { default: Hls }
+})
+
+const film = (...sources) => ({ provider: 'file', poster: 'films/poster.jpg', sources })
+const playlist = { src: 'films/launch.m3u8', type: HLS_TYPE }
+const mp4 = { src: 'films/launch.mp4', type: 'video/mp4' }
+
+// Renders a <video> wired to the hook and hands back its latest state
+function mountPlayer(video) {
+  const player = {}
+  function Player() {
+    Object.assign(player, useVideoPlayer(video))
+    return createElement('video', { ref: player.elementRef })
+  }
+  const { container } = render(createElement(Player))
+  return { player, element: container.querySelector('video') }
+}
+
+const failStream = (stream, data) => act(() => stream.handlers.hlsError('hlsError', data))
+
+describe('useVideoPlayer with self-hosted files', () => {
+  beforeEach(() => {
+    streams.length = 0
+    // jsdom plays nothing natively: MP4 "maybe", HLS not at all
+    vi.spyOn(HTMLMediaElement.prototype, 'canPlayType').mockImplementation((type) => (type === 'video/mp4' ? 'maybe' : ''))
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    cleanup()
+    vi.restoreAllMocks()
+  })
+
+  it('streams a playlist through hls.js where HLS is not native', async () => {
+    const { element } = mountPlayer(film(playlist, mp4))
+    await vi.waitFor(() => expect(streams).toHaveLength(1))
+
+    expect(streams[0].src).toMatch(/films\/launch\.m3u8$/)
+    expect(streams[0].media).toBe(element)
+  })
+
+  it('falls back to the next source after a fatal stream error', async () => {
+    const { player, element } = mountPlayer(film(playlist, mp4))
+    await vi.waitFor(() => expect(streams).toHaveLength(1))
+
+    failStream(streams[0], { fatal: true, details: 'manifestLoadError' })
+    expect(streams[0].destroy).toHaveBeenCalledOnce()
+    expect(element.src).toMatch(/films\/launch\.mp4$/)
+    expect(player.state.error).toBe(false)
+  })
+
+  it('keeps streaming through errors hls.js recovers from', async () => {
+    const { element } = mountPlayer(film(playlist, mp4))
+    await vi.waitFor(() => expect(streams).toHaveLength(1))
+
+    failStream(streams[0], { fatal: false, details: 'fragLoadTimeOut' })
+    expect(streams[0].destroy).not.toHaveBeenCalled()
+    expect(element.getAttribute('src')).toBeNull()
+  })
+
+  it('shows the error once no source is left', async () => {
+    const { player } = mountPlayer(film(playlist))
+    await vi.waitFor(() => expect(streams).toHaveLength(1))
+
+    failStream(streams[0], { fatal: true, details: 'bufferAppendError' })
+    expect(player.state.error).toBe(true)
+  })
+
+  it('stops the stream when the player goes away', async () => {
+    mountPlayer(film(playlist, mp4))
+    await vi.waitFor(() => expect(streams).toHaveLength(1))
+    await act(async () => {})
+
+    cleanup()
+    expect(streams[0].destroy).toHaveBeenCalledOnce()
+  })
+})
@@ -0,0 +1,26 @@
+import { useEffect, useState, useSyncExternalStore } from 'react'
+
+const subscribeVisibility = (callback) => {
+  document.addEventListener('visibilitychange', callback)
+  return () => document.removeEventListener('visibilitychange', callback)
+}
+
+export function usePageVisible() {
+  return useSyncExternalStore(subscribeVisibility, () => document.visibilityState === 'visible')
+}
+
+// True while the tab is visible and the element overlaps the viewport
+export function useRenderActive(ref) {
+  const pageVisible = usePageVisible()
+  const [onScreen, setOnScreen] = useState(true)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element) return
+    const observer = new IntersectionObserver(([entry]) => setOnScreen(entry.isIntersecting))
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [ref])
+
+  return pageVisible && onScreen
+}
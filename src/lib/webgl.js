@@ -0,0 +1,73 @@
+import { track } from './telemetry'
+
+// Render modes, from richest to cheapest:
+//   full        PBR material with every texture map
+//   simplified  Lambert material with the diffuse map only
+//   static      the model's pre-rendered still image, no WebGL
+export const RENDER_MODES = ['full', 'simplified', 'static']
+
+const SOFTWARE_RENDERER = /swiftshader|llvmpipe|softpipe|software/i
+const MIN_TEXTURE_SIZE = 4096
+
+const defaultCreateContext = (attributes) => {
+  const canvas = document.createElement('canvas')
+  return canvas.getContext('webgl2', attributes) || canvas.getContext('webgl', attributes)
+}
+
+// What a context reports about the GPU behind it
+export function readCapabilities(gl) {
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info')
+  return {
+    webgl2: typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext,
+    maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+    renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : '',
+  }
+}
+
+// Picks a mode from probe results. `capabilities` is null without WebGL;
+// `performanceCaveat` means the browser would only give us a slow
+// (usually software) context.
+export function chooseRenderMode(capabilities, { performanceCaveat = false } = {}) {
+  if (!capabilities) return { mode: 'static', reason: 'no-webgl' }
+  if (performanceCaveat || SOFTWARE_RENDERER.test(capabilities.renderer)) {
+    return { mode: 'simplified', reason: 'software-renderer' }
+  }
+  if (capabilities.maxTextureSize < MIN_TEXTURE_SIZE) {
+    return { mode: 'simplified', reason: 'small-textures' }
+  }
+  return { mode: 'full', reason: 'capable' }
+}
+
+// Creates throwaway contexts to see what the device can do. Pass a stub
+// `createContext` to exercise it outside a browser.
+export function probeRenderMode(createContext = defaultCreateContext) {
+  let gl = null
+  let performanceCaveat = false
+
+  try {
+    gl = createContext({ failIfMajorPerformanceCaveat: true })
+    if (!gl) {
+      gl = createContext()
+      performanceCaveat = Boolean(gl)
+    }
+    return chooseRenderMode(gl && readCapabilities(gl), { performanceCaveat })
+  } catch {
+    return { mode: 'static', reason: 'probe-failed' }
+  } finally {
+    // Release the probe context so it doesn't count against the browser's limit
+    gl?.getExtension('WEBGL_lose_context')?.loseContext()
+  }
+}
+
+let probed
+
+// The mode for this visit, probed once. `?render=full|simplified|static`
+// forces a mode, which is handy for checking the fallbacks.
+export function getRenderMode() {
+  if (!probed) {
+    const forced = new URLSearchParams(window.location.search).get('render')
+    probed = RENDER_MODES.includes(forced) ? { mode: forced, reason: 'forced' } : probeRenderMode()
+    track('render-mode', probed)
+  }
+  return probed.mode
+}
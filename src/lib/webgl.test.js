@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from 'vitest'
+import { probeRenderMode } from './webgl'
+
+const MAX_TEXTURE_SIZE = 0x0d33
+const UNMASKED_RENDERER_WEBGL = 0x9246
+
+// Just enough of a WebGL context for readCapabilities, plus a spy on the
+// extension that releases it
+const stubContext = ({ renderer = 'ANGLE (Apple M1)', maxTextureSize = 16384 } = {}) => {
+  const loseContext = vi.fn()
+  const extensions = {
+    WEBGL_debug_renderer_info: { UNMASKED_RENDERER_WEBGL },
+    WEBGL_lose_context: { loseContext },
+  }
+  const parameters = { [MAX_TEXTURE_SIZE]: maxTextureSize, [UNMASKED_RENDERER_WEBGL]: renderer }
+  return {
+    MAX_TEXTURE_SIZE,
+    getExtension: (name) => extensions[name] ?? null,
+    getParameter: (name) => parameters[name],
+    loseContext,
+  }
+}
+
+// A createContext that only hands out a context when the caller accepts a
+// slow one, like a browser that would fall back to software rendering
+const slowOnly = (gl) => vi.fn((attributes) => (attributes?.failIfMajorPerformanceCaveat ? null : gl))
+
+describe('probeRenderMode', () => {
+  it('picks the full mode on a capable GPU', () => {
+    const gl = stubContext()
+    const createContext = vi.fn(() => gl)
+
+    expect(probeRenderMode(createContext)).toEqual({ mode: 'full', reason: 'capable' })
+    expect(createContext).toHaveBeenCalledOnce()
+    expect(createContext).toHaveBeenCalledWith({ failIfMajorPerformanceCaveat: true })
+  })
+
+  it('simplifies when only a context with a performance caveat is available', () => {
+    const createContext = slowOnly(stubContext())
+
+    expect(probeRenderMode(createContext)).toEqual({ mode: 'simplified', reason: 'software-renderer' })
+    expect(createContext).toHaveBeenCalledTimes(2)
+  })
+
+  it('simplifies on a software renderer', () => {
+    const gl = stubContext({ renderer: 'Google SwiftShader' })
+    expect(probeRenderMode(() => gl)).toEqual({ mode: 'simplified', reason: 'software-renderer' })
+  })
+
+  it('simplifies when large textures are not supported', () => {
+    const gl = stubContext({ maxTextureSize: 2048 })
+    expect(probeRenderMode(() => gl)).toEqual({ mode: 'simplified', reason: 'small-textures' })
+  })
+
+  it('falls back to the static image without WebGL', () => {
+    const createContext = vi.fn(() => null)
+
+    expect(probeRenderMode(createContext)).toEqual({ mode: 'static', reason: 'no-webgl' })
+    expect(createContext).toHaveBeenCalledTimes(2)
+  })
+
+  it('falls back to the static image when probing throws', () => {
+    const createContext = () => {
+      throw new Error('context creation blocked')
+    }
+    expect(probeRenderMode(createContext)).toEqual({ mode: 'static', reason: 'probe-failed' })
+  })
+
+  it('releases the probe context', () => {
+    const gl = stubContext()
+    probeRenderMode(() => gl)
+    expect(gl.loseContext).toHaveBeenCalledOnce()
+  })
+})
@@ -0,0 +1,112 @@
+// Locales the site is published in, shared by the app and the build. The
+// default locale lives at the root of the site (/Vprops/services), the others
+// under a prefix (/Vprops/cs/services). Messages live in src/messages/<locale>.json.
+export const LOCALES = ['en', 'cs']
+export const DEFAULT_LOCALE = 'en'
+
+// 'cs/work/aurora' -> { locale: 'cs', path: 'work/aurora' }
+export function splitLocale(path) {
+  const [first, ...rest] = path.split('/')
+  return LOCALES.includes(first) && first !== DEFAULT_LOCALE
+    ? { locale: first, path: rest.join('/') }
+    : { locale: DEFAULT_LOCALE, path }
+}
+
+// Each page is built as <path>/index.html, and GitHub Pages redirects the
+// address without the slash to the one with it, so links advertised to
+// crawlers (canonical, alternates, sitemap) carry the slash
+export const withTrailingSlash = (pathname) => (pathname.endsWith('/') ? pathname : `${pathname}/`)
+
+// Content copy that differs by language is an object keyed by locale, e.g.
+// { "en": "Director", "cs": "Režie" }; anything else reads the same in all
+export const localized = (text, locale) =>
+  (text !== null && typeof text === 'object' ? text[locale] ?? text[DEFAULT_LOCALE] : text)
+
+export function localizePath(path, locale) {
+  return locale === DEFAULT_LOCALE ? path : [locale, path].filter(Boolean).join('/')
+}
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']
+
+// Messages that vary with a count are objects keyed by plural category,
+// e.g. { "one": "{count} project", "other": "{count} projects" }
+export const isPluralMessage = (value) =>
+  typeof value === 'object' && value !== null && 'other' in value &&
+  Object.keys(value).every((key) => PLURAL_CATEGORIES.includes(key))
+
+// { hero: { title: 'x' } } -> { 'hero.title': 'x' }
+export function flattenMessages(messages, prefix = '') {
+  const flat = {}
+  for (const [key, value] of Object.entries(messages)) {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (typeof value === 'string' || isPluralMessage(value)) flat[path] = value
+    else Object.assign(flat, flattenMessages(value, path))
+  }
+  return flat
+}
+
+// Replaces {name} placeholders; unknown ones are left as they are
+export function formatMessage(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match))
+}
+
+// t('portfolio.count', { count: 3 }) over one locale's catalog. Plural
+// messages pick their form from `count`; a key missing from the catalog
+// falls back to `fallback` (the default locale's), then to the key itself.
+export function createTranslator(locale, catalog, fallback = {}) {
+  const messages = flattenMessages(catalog)
+  const fallbackMessages = flattenMessages(fallback)
+  const plurals = new Intl.PluralRules(locale)
+  return (key, params) => {
+    const message = messages[key] ?? fallbackMessages[key] ?? key
+    const template = typeof message === 'string' ? message : message[plurals.select(params?.count ?? 0)] ?? message.other
+    return formatMessage(template, params)
+  }
+}
+
+const placeholdersOf = (message) => {
+  const text = typeof message === 'string' ? message : Object.values(message).join(' ')
+  return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map((match) => match[1]))].sort().join(', ')
+}
+
+// Every way the catalogs disagree with the default locale's: missing or
+// unknown keys, placeholders that differ, and plural messages without the
+// forms the locale needs. Returns [{ locale, key, message }].
+export function compareCatalogs(catalogs) {
+  const reference = flattenMessages(catalogs[DEFAULT_LOCALE])
+  const problems = []
+
+  for (const locale of LOCALES) {
+    if (!catalogs[locale]) {
+      problems.push({ locale, key: '(catalog)', message: 'is missing' })
+      continue
+    }
+    const messages = flattenMessages(catalogs[locale])
+    const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories
+
+    for (const [key, source] of Object.entries(reference)) {
+      const message = messages[key]
+      if (message === undefined) {
+        problems.push({ locale, key, message: 'is missing' })
+        continue
+      }
+      if (typeof message !== typeof source) {
+        problems.push({ locale, key, message: typeof source === 'string' ? 'should be a string' : 'should be a plural message' })
+        continue
+      }
+      if (placeholdersOf(message) !== placeholdersOf(source)) {
+        problems.push({ locale, key, message: `uses {${placeholdersOf(message)}} instead of {${placeholdersOf(source)}}` })
+      }
+      if (typeof message === 'object') {
+        const missing = categories.filter((category) => !(category in message))
+        if (missing.length) problems.push({ locale, key, message: `needs plural forms: ${missing.join(', ')}` })
+      }
+    }
+
+    for (const key of Object.keys(messages)) {
+      if (!(key in reference)) problems.push({ locale, key, message: `is not in ${DEFAULT_LOCALE}.json` })
+    }
+  }
+
+  return problems
+}
@@ -1,7 +1,21 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import 'virtual:theme.css'
 import './index.css'
 import App from './App.jsx'
+import { startSubmissionSync } from './lib/contact'
+import { registerServiceWorker } from './lib/serviceWorker'
+import { startMotionPreference } from './lib/motion'
+import { startThemePreference } from './lib/theme'
+import { startLocale } from './lib/i18n'
+import { startAnalytics } from './lib/analytics'
+
+startLocale()
+startMotionPreference()
+startThemePreference()
+startSubmissionSync()
+registerServiceWorker()
+startAnalytics()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,63 @@
+// Title, description and social image for every page. Shared by the app,
+// which keeps the document title in step while navigating, and the build,
+// which writes the same into each page's prerendered <head>.
+
+import { localized } from './locales.js'
+
+export const SITE_NAME = 'VPROPS'
+
+const SITE_IMAGE = 'og/site.png'
+const projectImage = (project) => `og/work/${project.slug}.png`
+const modelImage = (model) => `og/showroom/${model.id}.png`
+
+// A project's own description in `locale`, or a line made from its title,
+// category and year
+export const projectDescription = (project, { t, locale }) =>
+  localized(project.description, locale) ||
+  t('meta.pages.project', { title: project.title, category: t(`projects.categories.${project.category}`), year: project.year })
+
+// The build can only compose previews from PNG files in public/, so a
+// project previews its first PNG still, and one without gets the site image
+export const isPreviewable = (still) => /^(?!https?:\/\/).*\.png$/i.test(still)
+const previewStill = (project) => project.stills.find(isPreviewable)
+const modelStill = (model) => (model.still && isPreviewable(model.still) ? model.still : undefined)
+
+// Social preview images the build composes, as paths relative to the site
+// root with the stills each one is made from. The site image shows the
+// first three projects side by side.
+export function ogImages({ projects, models }) {
+  const previewed = projects.filter(previewStill)
+  return [
+    { file: SITE_IMAGE, stills: previewed.slice(0, 3).map(previewStill) },
+    ...previewed.map((project) => ({ file: projectImage(project), stills: [previewStill(project)] })),
+    ...models.filter(modelStill).map((model) => ({ file: modelImage(model), stills: [modelStill(model)] })),
+  ]
+}
+
+// { title, heading, description, image } for a route by name and params.
+// Unknown routes, projects and props get the site's own metadata.
+export function pageMeta(name, params, { t, locale, projects, models, heroModel }) {
+  const site = { title: t('meta.title'), heading: SITE_NAME, description: t('meta.description'), image: SITE_IMAGE }
+  const page = (heading, description, image = SITE_IMAGE) => ({
+    title: t('meta.pageTitle', { page: heading }),
+    heading,
+    description,
+    image,
+  })
+
+  const pages = {
+    services: () => page(t('nav.services'), t('meta.pages.services')),
+    about: () => page(t('nav.about'), t('meta.pages.about')),
+    contact: () => page(t('nav.contact'), t('meta.pages.contact')),
+    project: () => {
+      const project = projects.find((entry) => entry.slug === params.slug)
+      return project && page(project.title, projectDescription(project, { t, locale }), previewStill(project) ? projectImage(project) : SITE_IMAGE)
+    },
+    showroom: () => {
+      const model = params.id ? models.find((entry) => entry.id === params.id) : heroModel
+      return model && page(model.name, t('meta.pages.showroom', { name: model.name }), modelStill(model) ? modelImage(model) : SITE_IMAGE)
+    },
+  }
+
+  return pages[name]?.() ?? site
+}
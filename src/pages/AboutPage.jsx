@@ -0,0 +1,15 @@
+import About from '../sections/About'
+import Stats from '../sections/Stats'
+import Clients from '../sections/Clients'
+
+function AboutPage() {
+  return (
+    <>
+      <About />
+      <Stats />
+      <Clients />
+    </>
+  )
+}
+
+export default AboutPage
@@ -0,0 +1,85 @@
+import Link from '../components/Link'
+import VideoEmbed from '../components/VideoEmbed'
+import NotFoundPage from './NotFoundPage'
+import { assetUrl, getProject, localizeProject } from '../lib/projects'
+import { useTranslation } from '../lib/i18n'
+
+function CaseStudyPage({ params }) {
+  const { locale, t } = useTranslation()
+  const found = getProject(params.slug)
+  if (!found) return <NotFoundPage />
+  const project = localizeProject(found, locale)
+
+  return (
+    <article className="case-study">
+      <div className="container">
+        <Link to="#work" className="case-back">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+          {t('caseStudy.back')}
+        </Link>
+
+        <header className="case-header">
+          <span className="portfolio-category">{t(`projects.categories.${project.category}`)} · {project.year}</span>
+          <h1 className="case-title">{project.title}</h1>
+          {project.client && <p className="case-client">{project.client}</p>}
+        </header>
+
+        {project.video && (
+          <div className="case-video">
+            <VideoEmbed video={project.video} title={project.title} />
+          </div>
+        )}
+
+        {(project.description || project.deliverables || project.credits) && (
+          <div className="case-body">
+            {project.description && <p className="case-description">{project.description}</p>}
+
+            <div className="case-meta">
+              {project.deliverables && (
+                <div>
+                  <h2 className="form-label">{t('caseStudy.deliverables')}</h2>
+                  <ul className="case-list">
+                    {project.deliverables.map((deliverable) => (
+                      <li key={deliverable}>{deliverable}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {project.credits?.length > 0 && (
+                <div>
+                  <h2 className="form-label">{t('caseStudy.credits')}</h2>
+                  <dl className="case-credits">
+                    {project.credits.map((credit) => (
+                      <div key={`${credit.role}-${credit.name}`}>
+                        <dt>{credit.role}</dt>
+                        <dd>{credit.name}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {project.stills.length > 0 && (
+          <div className="case-stills">
+            {project.stills.map((still, i) => (
+              <img
+                key={still}
+                src={assetUrl(still)}
+                alt={t('caseStudy.still', { title: project.title, index: i + 1 })}
+                loading="lazy"
+                decoding="async"
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </article>
+  )
+}
+
+export default CaseStudyPage
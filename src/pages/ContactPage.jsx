@@ -0,0 +1,7 @@
+import Contact from '../sections/Contact'
+
+function ContactPage() {
+  return <Contact />
+}
+
+export default ContactPage
@@ -0,0 +1,23 @@
+import Hero from '../sections/Hero'
+import Portfolio from '../sections/Portfolio'
+import Stats from '../sections/Stats'
+import Services from '../sections/Services'
+import Process from '../sections/Process'
+import Clients from '../sections/Clients'
+import Contact from '../sections/Contact'
+
+function HomePage() {
+  return (
+    <>
+      <Hero />
+      <Portfolio />
+      <Stats />
+      <Services />
+      <Process />
+      <Clients />
+      <Contact />
+    </>
+  )
+}
+
+export default HomePage
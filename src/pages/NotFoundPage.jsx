@@ -0,0 +1,25 @@
+import Link from '../components/Link'
+import RichText from '../components/RichText'
+import { useTranslation } from '../lib/i18n'
+
+function NotFoundPage() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="not-found">
+      <div className="container">
+        <span className="section-number">404</span>
+        <h1 className="section-title"><RichText>{t('notFound.title')}</RichText></h1>
+        <p className="not-found-text">{t('notFound.text')}</p>
+        <Link to="" className="hero-cta">
+          {t('notFound.back')}
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M5 12h14M12 5l7 7-7 7"/>
+          </svg>
+        </Link>
+      </div>
+    </section>
+  )
+}
+
+export default NotFoundPage
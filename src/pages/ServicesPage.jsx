@@ -0,0 +1,15 @@
+import Services from '../sections/Services'
+import Process from '../sections/Process'
+import Contact from '../sections/Contact'
+
+function ServicesPage() {
+  return (
+    <>
+      <Services />
+      <Process />
+      <Contact />
+    </>
+  )
+}
+
+export default ServicesPage
@@ -0,0 +1,244 @@
+import { useState, useRef, useEffect, useCallback, useMemo, Suspense } from 'react'
+import { useThree } from '@react-three/fiber'
+import { OrbitControls } from '@react-three/drei'
+import CustomModel from '../components/CustomModel'
+import ModelCanvas from '../components/ModelCanvas'
+import SceneLights from '../components/SceneLights'
+import ModelLoader from '../components/ModelLoader'
+import ModelHotspots from '../components/ModelHotspots'
+import Link from '../components/Link'
+import NotFoundPage from './NotFoundPage'
+import { models, heroModel, getModel, availableMaps, modelAssetUrls, floorLevel } from '../lib/models'
+import { LIGHTING_PRESETS, getLightingPreset } from '../lib/lighting'
+import { DEFAULT_LIGHTING } from '../content/lighting'
+import { downloadBlob } from '../lib/download'
+import { usePreload } from '../lib/preload'
+import { getRenderMode } from '../lib/webgl'
+import { assetUrl } from '../lib/projects'
+import { useTranslation } from '../lib/i18n'
+
+// Exposes a capture function that renders a fresh frame and reads it back
+// before the browser clears the drawing buffer
+function StillCapture({ captureRef }) {
+  const { gl, scene, camera } = useThree()
+
+  useEffect(() => {
+    captureRef.current = () => new Promise((resolve) => {
+      gl.render(scene, camera)
+      gl.domElement.toBlob(resolve, 'image/png')
+    })
+    return () => {
+      captureRef.current = null
+    }
+  }, [gl, scene, camera, captureRef])
+
+  return null
+}
+
+const formatDimension = (value, units) => `${value.toFixed(units === 'mm' ? 0 : 2)} ${units}`
+
+function ShowroomPage({ params }) {
+  const model = params.id ? getModel(params.id) : heroModel
+  const [view, setView] = useState('full')
+  const [turntable, setTurntable] = useState(true)
+  const [lighting, setLighting] = useState(DEFAULT_LIGHTING)
+  // Shadow and floor follow the preset until switched here
+  const [staging, setStaging] = useState({})
+  const [loaded, setLoaded] = useState(null)
+  const controlsRef = useRef(null)
+  const captureRef = useRef(null)
+  const mode = getRenderMode()
+  const assetUrls = useMemo(() => (model && mode !== 'static' ? modelAssetUrls(model, mode) : []), [model, mode])
+  const assets = usePreload(assetUrls)
+  const { t } = useTranslation()
+
+  const handleLoad = useCallback((object) => setLoaded(object), [])
+
+  if (!model) return <NotFoundPage />
+
+  const still = (
+    <div className="showroom-still">
+      {model.still && <img className="model-still" src={assetUrl(model.still)} alt={model.name} />}
+      <p className="form-hint">{t('showroom.unavailable')}</p>
+    </div>
+  )
+
+  const units = model.units || 'm'
+  const dimensions = loaded?.userData.dimensions.sourceSize
+  const views = [
+    { id: 'full', label: t('showroom.fullMaterial') },
+    ...(loaded ? availableMaps(loaded) : []).map((slot) => ({ id: slot, label: t(`showroom.maps.${slot}`) })),
+    { id: 'wireframe', label: t('showroom.wireframe') },
+  ]
+
+  const preset = getLightingPreset(lighting)
+  const shadows = staging.shadows ?? Boolean(preset.shadows)
+  const ground = staging.ground ?? preset.ground
+
+  const handleLighting = (id) => {
+    setLighting(id)
+    setStaging({})
+  }
+
+  const handleDownload = async () => {
+    const blob = await captureRef.current?.()
+    if (blob) downloadBlob(blob, `vprops-${model.id}-${view}.png`)
+  }
+
+  return (
+    <section className="showroom">
+      <div className="container showroom-grid">
+        <div className="showroom-stage">
+          <ModelCanvas
+            scene="showroom"
+            mode={mode}
+            assetsFailed={assets.failed}
+            still={still}
+            overlay={!loaded && <ModelLoader progress={assets.progress} />}
+            frameloop="demand"
+            camera={{ position: [0, 0, 3.5], fov: 50 }}
+            gl={{ antialias: true, alpha: true }}
+            dpr={[1, 2]}
+          >
+            <SceneLights
+              preset={lighting}
+              shadows={shadows}
+              ground={ground}
+              floor={loaded ? floorLevel(loaded) : undefined}
+              mode={mode}
+            />
+            {assets.done && (
+              <Suspense fallback={null}>
+                <CustomModel model={model} mode={mode} view={view} followScroll={false} onLoad={handleLoad}>
+                  <ModelHotspots model={model} />
+                </CustomModel>
+              </Suspense>
+            )}
+            <OrbitControls
+              ref={controlsRef}
+              makeDefault
+              enableDamping
+              autoRotate={turntable}
+              autoRotateSpeed={1.5}
+              minDistance={1.5}
+              maxDistance={8}
+            />
+            <StillCapture captureRef={captureRef} />
+          </ModelCanvas>
+          <p className="showroom-hint">{t('showroom.hint')}</p>
+        </div>
+
+        <aside className="showroom-panel">
+          <span className="section-number">{t('showroom.label')}</span>
+          <h1 className="section-title">{model.name}</h1>
+
+          {models.length > 1 && (
+            <nav className="showroom-group" aria-label={t('showroom.props')}>
+              <h2 className="form-label">{t('showroom.props')}</h2>
+              <div className="wizard-choices">
+                {models.map((entry) => (
+                  <Link
+                    key={entry.id}
+                    to={`showroom/${entry.id}`}
+                    className="showroom-chip"
+                    aria-current={entry.id === model.id ? 'page' : undefined}
+                  >
+                    {entry.name}
+                  </Link>
+                ))}
+              </div>
+            </nav>
+          )}
+
+          <div className="showroom-group" role="group" aria-labelledby="showroom-view-label">
+            <h2 className="form-label" id="showroom-view-label">{t('showroom.view')}</h2>
+            <div className="wizard-choices">
+              {views.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  className="showroom-chip"
+                  aria-pressed={view === option.id}
+                  onClick={() => setView(option.id)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="showroom-group" role="group" aria-labelledby="showroom-lighting-label">
+            <h2 className="form-label" id="showroom-lighting-label">{t('showroom.lighting')}</h2>
+            <div className="wizard-choices">
+              {LIGHTING_PRESETS.map((id) => (
+                <button
+                  key={id}
+                  type="button"
+                  className="showroom-chip"
+                  aria-pressed={lighting === id}
+                  onClick={() => handleLighting(id)}
+                >
+                  {t(`showroom.lightingPresets.${id}`)}
+                </button>
+              ))}
+            </div>
+            <div className="wizard-choices">
+              <button
+                type="button"
+                className="showroom-chip"
+                aria-pressed={shadows}
+                onClick={() => setStaging({ ...staging, shadows: !shadows })}
+              >
+                {t('showroom.shadows')}
+              </button>
+              <button
+                type="button"
+                className="showroom-chip"
+                aria-pressed={ground}
+                onClick={() => setStaging({ ...staging, ground: !ground })}
+              >
+                {t('showroom.ground')}
+              </button>
+            </div>
+          </div>
+
+          <div className="showroom-group">
+            <h2 className="form-label">{t('showroom.camera')}</h2>
+            <div className="wizard-choices">
+              <button
+                type="button"
+                className="showroom-chip"
+                aria-pressed={turntable}
+                onClick={() => setTurntable(!turntable)}
+              >
+                {t('showroom.turntable')}
+              </button>
+              <button type="button" className="showroom-chip" onClick={() => controlsRef.current?.reset()}>
+                {t('showroom.resetView')}
+              </button>
+            </div>
+          </div>
+
+          <div className="showroom-group">
+            <h2 className="form-label">{t('showroom.dimensions')}</h2>
+            {dimensions ? (
+              <dl className="showroom-dimensions">
+                <div><dt>{t('showroom.width')}</dt><dd>{formatDimension(dimensions.x, units)}</dd></div>
+                <div><dt>{t('showroom.height')}</dt><dd>{formatDimension(dimensions.y, units)}</dd></div>
+                <div><dt>{t('showroom.depth')}</dt><dd>{formatDimension(dimensions.z, units)}</dd></div>
+              </dl>
+            ) : (
+              <p className="form-hint">{mode !== 'static' && !assets.failed ? t('showroom.measuring') : t('showroom.notAvailable')}</p>
+            )}
+          </div>
+
+          <button type="button" className="form-submit" onClick={handleDownload} disabled={!loaded}>
+            {t('showroom.download')}
+          </button>
+        </aside>
+      </div>
+    </section>
+  )
+}
+
+export default ShowroomPage
@@ -0,0 +1,13 @@
+// Route table shared by the app and the build, which writes an HTML entry
+// point for every route so deep links survive a hard refresh on GitHub Pages.
+// Dynamic segments (':slug') are expanded from src/content/ at build time.
+// `heroModel: false` hides the floating scroll-driven prop on that page.
+export const routes = [
+  { name: 'home', path: '' },
+  { name: 'services', path: 'services' },
+  { name: 'about', path: 'about' },
+  { name: 'contact', path: 'contact' },
+  { name: 'project', path: 'work/:slug' },
+  { name: 'showroom', path: 'showroom', heroModel: false },
+  { name: 'showroom', path: 'showroom/:id', heroModel: false },
+]
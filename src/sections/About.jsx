@@ -0,0 +1,25 @@
+import RichText from '../components/RichText'
+import { useTranslation } from '../lib/i18n'
+
+function About() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="about" id="about">
+      <div className="container">
+        <div className="section-header">
+          <div>
+            <span className="section-number">{t('about.number')}</span>
+            <h2 className="section-title"><RichText>{t('about.title')}</RichText></h2>
+          </div>
+        </div>
+        <div className="about-grid">
+          <p className="about-lead">{t('about.lead')}</p>
+          <p className="about-text">{t('about.text')}</p>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default About
@@ -0,0 +1,86 @@
+import { useRef, useState } from 'react'
+import clients from '../content/clients.json'
+import { logos } from '../content/logos'
+import Link from '../components/Link'
+import { assetUrl, projectPath } from '../lib/projects'
+import { useMarquee } from '../lib/marquee'
+import { useReducedMotion } from '../lib/motion'
+import { useRenderActive } from '../lib/visibility'
+import { useTranslation } from '../lib/i18n'
+
+function ClientLogo({ client }) {
+  const { t } = useTranslation()
+  const logo = logos[client.logo]
+  const content = logo ? (
+    <img
+      src={assetUrl(logo.src)}
+      width={logo.width}
+      height={logo.height}
+      alt={client.name}
+      className="client-logo-img"
+      draggable="false"
+    />
+  ) : (
+    client.name
+  )
+
+  if (!client.project) return <span className="client-logo">{content}</span>
+  return (
+    <Link
+      to={projectPath({ slug: client.project })}
+      className="client-logo client-logo-link"
+      title={t('clients.caseStudy', { name: client.name })}
+      draggable="false"
+    >
+      {content}
+    </Link>
+  )
+}
+
+function Clients() {
+  const viewportRef = useRef(null)
+  const trackRef = useRef(null)
+  const [paused, setPaused] = useState(false)
+  const [hovered, setHovered] = useState(false)
+  const [focused, setFocused] = useState(false)
+  const reducedMotion = useReducedMotion()
+  const onScreen = useRenderActive(viewportRef)
+  const { t } = useTranslation()
+
+  useMarquee(viewportRef, trackRef, {
+    enabled: !reducedMotion,
+    running: onScreen && !paused && !hovered && !focused,
+  })
+
+  const handlePointer = (over) => (e) => {
+    if (e.pointerType === 'mouse') setHovered(over)
+  }
+
+  return (
+    <section className="clients">
+      <p className="clients-label" id="clients-label">{t('clients.label')}</p>
+      <div
+        className="marquee-wrapper"
+        ref={viewportRef}
+        onPointerEnter={handlePointer(true)}
+        onPointerLeave={handlePointer(false)}
+        onFocus={() => setFocused(true)}
+        onBlur={(e) => setFocused(e.currentTarget.contains(e.relatedTarget))}
+      >
+        <ul className="marquee-track" ref={trackRef} aria-labelledby="clients-label">
+          {clients.map((client) => (
+            <li key={client.name}>
+              <ClientLogo client={client} />
+            </li>
+          ))}
+        </ul>
+      </div>
+      <button type="button" className="marquee-toggle" aria-pressed={paused} onClick={() => setPaused(!paused)}>
+        <span className="toggle-indicator" aria-hidden="true" />
+        {t('clients.pause')}
+      </button>
+    </section>
+  )
+}
+
+export default Clients
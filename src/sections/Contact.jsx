@@ -0,0 +1,27 @@
+import BriefWizard from '../components/BriefWizard'
+import RichText from '../components/RichText'
+import { CONTACT_EMAIL } from '../lib/contact'
+import { useTranslation } from '../lib/i18n'
+
+function Contact() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="contact" id="contact">
+      <div className="container contact-grid">
+        <div className="contact-info">
+          <h2 className="contact-heading">
+            <RichText>{t('contact.title')}</RichText>
+          </h2>
+          <p className="contact-text">{t('contact.text')}</p>
+          <a href={`mailto:${CONTACT_EMAIL}`} className="contact-email">
+            {CONTACT_EMAIL}
+          </a>
+        </div>
+        <BriefWizard />
+      </div>
+    </section>
+  )
+}
+
+export default Contact
@@ -0,0 +1,32 @@
+import CardFan from '../components/CardFan'
+import Link from '../components/Link'
+import RichText from '../components/RichText'
+import { useTranslation } from '../lib/i18n'
+
+function Hero() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="hero">
+      <div className="container hero-content">
+        <div className="hero-text">
+          <h1>
+            <RichText>{t('hero.title')}</RichText>
+          </h1>
+          <p className="hero-tagline">{t('hero.tagline')}</p>
+          <Link to="#contact" className="hero-cta">
+            {t('hero.cta')}
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M5 12h14M12 5l7 7-7 7"/>
+            </svg>
+          </Link>
+        </div>
+        <div className="hero-visual">
+          <CardFan />
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Hero
@@ -0,0 +1,131 @@
+import { useRef } from 'react'
+import PortfolioItem from '../components/PortfolioItem'
+import RichText from '../components/RichText'
+import { projects } from '../lib/projects'
+import { useSearch, replaceSearch } from '../lib/router'
+import { useFlip } from '../lib/flip'
+import { useTranslation } from '../lib/i18n'
+import {
+  SORTS,
+  categoriesOf,
+  yearsOf,
+  readFilters,
+  writeFilters,
+  hasActiveFilters,
+  filterProjects,
+} from '../lib/portfolioFilters'
+
+const categories = categoriesOf(projects)
+const years = yearsOf(projects)
+
+function Portfolio() {
+  const search = useSearch()
+  const filters = readFilters(search, projects)
+  const visible = filterProjects(projects, filters)
+  const gridRef = useRef(null)
+  const captureLayout = useFlip(gridRef, visible.map((item) => item.slug).join())
+  const { t } = useTranslation()
+
+  // Filtered links point at the grid, so a shared URL lands on the results
+  const update = (changes) => {
+    captureLayout()
+    const next = { ...filters, ...changes }
+    replaceSearch(writeFilters(next, search), hasActiveFilters(next) ? 'work' : undefined)
+  }
+
+  const clear = () => update({ category: '', year: '', q: '' })
+
+  return (
+    <section className="portfolio" id="work">
+      <div className="container">
+        <div className="section-header">
+          <div>
+            <span className="section-number">{t('portfolio.number')}</span>
+            <h2 className="section-title"><RichText>{t('portfolio.title')}</RichText></h2>
+          </div>
+        </div>
+
+        <div className="portfolio-filters">
+          <div className="portfolio-chips" role="group" aria-label={t('portfolio.category')}>
+            <button
+              type="button"
+              className="portfolio-chip"
+              aria-pressed={!filters.category}
+              onClick={() => update({ category: '' })}
+            >
+              {t('portfolio.all')}
+            </button>
+            {categories.map((category) => (
+              <button
+                key={category}
+                type="button"
+                className="portfolio-chip"
+                aria-pressed={filters.category === category}
+                onClick={() => update({ category: filters.category === category ? '' : category })}
+              >
+                {t(`projects.categories.${category}`)}
+              </button>
+            ))}
+          </div>
+
+          <div className="portfolio-controls">
+            <label className="portfolio-control">
+              <span className="form-label">{t('portfolio.search')}</span>
+              <input
+                type="search"
+                className="form-input"
+                placeholder={t('portfolio.searchPlaceholder')}
+                value={filters.q}
+                onChange={(e) => update({ q: e.target.value })}
+              />
+            </label>
+            <label className="portfolio-control">
+              <span className="form-label">{t('portfolio.year')}</span>
+              <select className="form-input" value={filters.year} onChange={(e) => update({ year: e.target.value })}>
+                <option value="">{t('portfolio.anyYear')}</option>
+                {years.map((year) => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+            </label>
+            <label className="portfolio-control">
+              <span className="form-label">{t('portfolio.sort')}</span>
+              <select
+                className="form-input"
+                value={filters.sort}
+                onChange={(e) => update({ sort: e.target.value })}
+              >
+                {SORTS.map((option) => (
+                  <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <p className="portfolio-count" aria-live="polite">
+          {visible.length === projects.length
+            ? t('portfolio.count', { count: projects.length })
+            : t('portfolio.showing', { shown: visible.length, count: projects.length })}
+        </p>
+
+        {visible.length > 0 ? (
+          <div className="portfolio-grid" ref={gridRef}>
+            {visible.map((item) => (
+              <PortfolioItem key={item.slug} item={item} data-flip-key={item.slug} />
+            ))}
+          </div>
+        ) : (
+          <div className="portfolio-empty">
+            <p>{filters.q.trim() ? t('portfolio.emptySearch', { query: filters.q.trim() }) : t('portfolio.empty')}</p>
+            <button type="button" className="portfolio-chip" onClick={clear}>
+              {t('portfolio.clear')}
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default Portfolio
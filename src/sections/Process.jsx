@@ -0,0 +1,31 @@
+import RichText from '../components/RichText'
+import processSteps from '../content/process.json'
+import { useTranslation } from '../lib/i18n'
+
+function Process() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="process" id="process">
+      <div className="container">
+        <div className="section-header">
+          <div>
+            <span className="section-number">{t('process.number')}</span>
+            <h2 className="section-title"><RichText>{t('process.title')}</RichText></h2>
+          </div>
+        </div>
+        <div className="process-list">
+          {processSteps.map((step, index) => (
+            <div className="process-item" key={step.id}>
+              <span className="process-number">{String(index + 1).padStart(2, '0')}</span>
+              <h3 className="process-title">{t(`process.steps.${step.id}.title`)}</h3>
+              <p className="process-desc">{t(`process.steps.${step.id}.desc`)}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Process
@@ -0,0 +1,34 @@
+import Icon from '../components/Icon'
+import RichText from '../components/RichText'
+import services from '../content/services.json'
+import { useTranslation } from '../lib/i18n'
+
+function Services() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="services" id="services">
+      <div className="container">
+        <div className="section-header">
+          <div>
+            <span className="section-number">{t('services.number')}</span>
+            <h2 className="section-title"><RichText>{t('services.title')}</RichText></h2>
+          </div>
+        </div>
+        <div className="services-grid">
+          {services.map((service) => (
+            <div className="service-item" key={service.id} id={`service-${service.id}`}>
+              <div className="service-icon">
+                <Icon name={service.icon} />
+              </div>
+              <h3 className="service-title">{t(`services.items.${service.id}.title`)}</h3>
+              <p className="service-desc">{t(`services.items.${service.id}.desc`)}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Services
@@ -0,0 +1,40 @@
+import { useRef } from 'react'
+import { getStats, formatStat, useCountUp, useSeenOnce } from '../lib/stats'
+import { useReducedMotion } from '../lib/motion'
+import { useTranslation } from '../lib/i18n'
+
+const stats = getStats()
+
+function StatItem({ stat, active }) {
+  const { locale, t } = useTranslation()
+  const reducedMotion = useReducedMotion()
+  const value = useCountUp(stat.value, active, reducedMotion)
+
+  return (
+    <div className="stat-item">
+      {/* The count is decorative; screen readers get the final figure */}
+      <span className="stat-number" aria-hidden="true">{formatStat(stat, value, locale)}</span>
+      <span className="visually-hidden">{formatStat(stat, stat.value, locale)}</span>
+      <span className="stat-label">{t(`stats.${stat.id}`)}</span>
+    </div>
+  )
+}
+
+function Stats() {
+  const rowRef = useRef(null)
+  const seen = useSeenOnce(rowRef)
+
+  return (
+    <section className="stats-bar">
+      <div className="container">
+        <div className="stats-row" ref={rowRef}>
+          {stats.map((stat) => (
+            <StatItem key={stat.id} stat={stat} active={seen} />
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Stats
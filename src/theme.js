@@ -0,0 +1,81 @@
+// Design tokens for every theme, shared by the app and the build. `css`
+// entries become custom properties (`'bg-primary'` is `var(--bg-primary)`)
+// through scripts/vite-plugin-theme.js; `scene` sets up the 3D canvases so
+// props are lit and tinted for the page behind them: an `ambient` light on
+// top of the lighting preset, an `exposure` that scales the preset, and the
+// colours of the ground plane, contact shadow and showroom views. Themes are
+// named after the colour scheme they serve, which is how
+// `prefers-color-scheme` picks one before the visitor chooses.
+
+export const THEMES = ['dark', 'light']
+export const DEFAULT_THEME = 'dark'
+export const THEME_STORAGE_KEY = 'vprops:theme'
+
+// The client band is brand yellow in every theme, so its text colours are too
+const band = {
+  highlight: '#FEDD00',
+  'on-highlight': '#111111',
+  'on-highlight-muted': '#555555',
+}
+
+export const themes = {
+  dark: {
+    css: {
+      'bg-primary': '#012169',
+      'bg-secondary': '#111111',
+      'bg-tertiary': '#1a1a1a',
+      'text-primary': '#f5f5f5',
+      'text-secondary': '#888888',
+      'text-muted': '#555555',
+      accent: '#FEDD00',
+      'accent-dim': '#8b7019',
+      'accent-soft': 'rgba(254, 221, 0, 0.15)',
+      border: '#009739',
+      error: '#ff6b6b',
+      shadow: '#303030',
+      'grain-opacity': '0.03',
+      'logo-filter': 'none',
+      ...band,
+    },
+    scene: {
+      ambient: 0.15,
+      exposure: 1,
+      tint: '#ffffff',
+      ground: '#0b2458',
+      shadow: '#000000',
+      wireframe: '#FEDD00',
+      blank: '#555555',
+    },
+  },
+  light: {
+    css: {
+      'bg-primary': '#f4f2ec',
+      'bg-secondary': '#ffffff',
+      'bg-tertiary': '#e9e6de',
+      'text-primary': '#0a1633',
+      'text-secondary': '#4d5566',
+      'text-muted': '#6f7585',
+      accent: '#012169',
+      'accent-dim': '#5b6d9c',
+      'accent-soft': 'rgba(1, 33, 105, 0.12)',
+      border: '#009739',
+      error: '#c62828',
+      shadow: 'rgba(10, 22, 51, 0.25)',
+      'grain-opacity': '0.02',
+      // The logo artwork is white; turn it black on the pale page
+      'logo-filter': 'brightness(0)',
+      ...band,
+    },
+    // Less ambient light and a slightly deeper tint keep a prop from washing
+    // out against the pale page
+    scene: {
+      ambient: 0.05,
+      exposure: 1,
+      tint: '#ece8e0',
+      ground: '#e4e0d6',
+      shadow: '#3a3428',
+      wireframe: '#012169',
+      blank: '#b8b4ab',
+    },
+  },
+}
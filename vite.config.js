@@ -1,8 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import content from './scripts/vite-plugin-content.js'
+import messages from './scripts/vite-plugin-messages.js'
+import theme from './scripts/vite-plugin-theme.js'
+import pages from './scripts/vite-plugin-pages.js'
+import ogImages from './scripts/vite-plugin-og-images.js'
+import environments from './scripts/vite-plugin-environments.js'
+import mockContact from './scripts/vite-plugin-mock-contact.js'
+import mockAnalytics from './scripts/vite-plugin-mock-analytics.js'
+import draco from './scripts/vite-plugin-draco.js'
+import compactModels from './scripts/vite-plugin-compact-models.js'
+import serviceWorker from './scripts/vite-plugin-service-worker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), content(), messages(), theme(), pages({ siteUrl: process.env.SITE_URL }), ogImages(), environments(), mockContact(), mockAnalytics(), draco(), compactModels(), serviceWorker()],
   base: '/Vprops/',
 })